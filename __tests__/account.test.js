@@ -0,0 +1,84 @@
+// __tests__/account.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const config = require('../src/config');
+const account = require('../src/account');
+
+// An API that knows the key "good-key" and has only the endpoints given
+async function startApi(routes) {
+  const app = express();
+  routes(app);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+const me = app => app.get('/auth/me', (req, res) => {
+  if (req.get('authorization') !== 'Bearer good-key') return res.status(401).json({ error: 'Invalid API key' });
+  res.json({ userId: 'u1', email: 'me@example.com' });
+});
+
+describe('account', () => {
+  const saved = { ...config };
+  let dir;
+  let api;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmule-account-'));
+    config.credentials_path = path.join(dir, 'credentials.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    Object.assign(config, saved);
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (api) await new Promise(resolve => api.server.close(resolve));
+    api = null;
+  });
+
+  async function useApi(routes) {
+    api = await startApi(routes);
+    config.api_url = api.url;
+  }
+
+  test('saves a key the server accepts', async () => {
+    await useApi(me);
+    await account.login('good-key');
+
+    expect(config).toMatchObject({ api_key: 'good-key', api_key_source: 'credentials' });
+    expect(JSON.parse(fs.readFileSync(config.credentials_path, 'utf8'))).toMatchObject({ apiKey: 'good-key', email: 'me@example.com', apiUrl: api.url });
+  });
+
+  test('does not save a key the server rejects', async () => {
+    await useApi(me);
+    await expect(account.login('bad-key')).rejects.toThrow('The server rejected that API key');
+    expect(fs.existsSync(config.credentials_path)).toBe(false);
+  });
+
+  test('says the key could not be verified when the server has no account endpoint', async () => {
+    await useApi(() => {});
+    await expect(account.login('good-key')).rejects.toThrow(`Could not verify the API key: ${api.url} has no /auth/me endpoint`);
+    expect(fs.existsSync(config.credentials_path)).toBe(false);
+  });
+
+  test('says the key could not be rotated when the server doesn\'t support it', async () => {
+    await useApi(me);
+    config.api_key = 'good-key';
+    await expect(account.rotateKey()).rejects.toThrow('Could not rotate the key');
+    expect(config.api_key).toBe('good-key');
+  });
+
+  test('saves the new key after rotating', async () => {
+    await useApi(app => {
+      app.post('/auth/rotate-key', (req, res) => res.json({ apiKey: 'good-key' }));
+      me(app);
+    });
+    config.api_key = 'old-key';
+    await account.rotateKey();
+    expect(config.api_key).toBe('good-key');
+  });
+});
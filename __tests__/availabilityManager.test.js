@@ -0,0 +1,98 @@
+// __tests__/availabilityManager.test.js
+const AvailabilityManager = require('../src/availabilityManager');
+
+// 6 January 2025 was a Monday; times are local, like the schedule
+const at = (day, hours, minutes = 0) => new Date(2025, 0, 6 + day, hours, minutes);
+
+describe('AvailabilityManager', () => {
+  afterEach(() => jest.useRealTimers());
+
+  test('is disabled and available with nothing configured', () => {
+    const manager = new AvailabilityManager();
+    expect(manager.enabled).toBe(false);
+    expect(manager.status).toMatchObject({ available: true, reason: null });
+  });
+
+  test('pauses at once when busy and resumes only after enough clear checks', async () => {
+    const manager = new AvailabilityManager({ busyCommand: 'exit 0', resumeAfterChecks: 2 });
+    const changes = [];
+    manager.on('change', status => changes.push(status));
+
+    await manager.check();
+    expect(manager.status).toMatchObject({ available: false, reason: 'busy_command' });
+
+    manager.busyCommand = 'exit 1';
+    await manager.check();
+    expect(manager.available).toBe(false);
+    await manager.check();
+    expect(manager.available).toBe(true);
+
+    expect(changes.map(change => change.reason)).toEqual(['busy_command', null]);
+  });
+
+  test('holds a manual pause until resumed, then follows the conditions', async () => {
+    const manager = new AvailabilityManager({ busyCommand: 'exit 1' });
+
+    await manager.setPaused(true);
+    await manager.check();
+    expect(manager.status).toMatchObject({ available: false, reason: 'manual' });
+
+    await manager.setPaused(false);
+    expect(manager.status).toMatchObject({ available: true, reason: null });
+
+    manager.busyCommand = 'exit 0';
+    await manager.setPaused(true);
+    await manager.setPaused(false);
+    expect(manager.status).toMatchObject({ available: false, reason: 'busy_command' });
+  });
+
+  test('shares only inside the schedule, including windows past midnight', async () => {
+    const manager = new AvailabilityManager({
+      schedule: [{ days: ['mon'], from: '18:00', to: '08:00' }],
+      resumeAfterChecks: 1
+    });
+    const checkAt = async date => {
+      jest.useFakeTimers({ now: date, toFake: ['Date'] });
+      await manager.check();
+      return manager.status;
+    };
+
+    expect(await checkAt(at(0, 12))).toMatchObject({ available: false, reason: 'schedule' });
+    expect((await checkAt(at(0, 19))).available).toBe(true);
+    expect((await checkAt(at(1, 7, 59))).available).toBe(true);
+    expect(await checkAt(at(1, 8))).toMatchObject({ available: false, reason: 'schedule' });
+    expect((await checkAt(at(1, 19))).available).toBe(false);
+  });
+
+  test('rejects malformed schedules', () => {
+    expect(() => new AvailabilityManager({ schedule: [{ days: ['someday'], from: '09:00', to: '17:00' }] }))
+      .toThrow('Invalid schedule day "someday"');
+    expect(() => new AvailabilityManager({ schedule: [{ from: '9am', to: '17:00' }] }))
+      .toThrow('Invalid schedule time "9am"');
+  });
+
+  test('pauses when free memory is below the minimum', async () => {
+    const manager = new AvailabilityManager({ minFreeMemoryMb: Number.MAX_SAFE_INTEGER });
+    await manager.check();
+    expect(manager.status).toMatchObject({ available: false, reason: 'memory' });
+  });
+
+  test('keeps the previous resource verdict while serving its own requests', async () => {
+    let serving = false;
+    const manager = new AvailabilityManager(
+      { minFreeMemoryMb: Number.MAX_SAFE_INTEGER, resumeAfterChecks: 1 },
+      { isServing: () => serving }
+    );
+    await manager.check();
+    expect(manager.reason).toBe('memory');
+
+    serving = true;
+    manager.minFreeMemoryMb = 1;
+    await manager.check();
+    expect(manager.reason).toBe('memory');
+
+    serving = false;
+    await manager.check();
+    expect(manager.available).toBe(true);
+  });
+});
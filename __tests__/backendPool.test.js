@@ -0,0 +1,142 @@
+// __tests__/backendPool.test.js
+process.env.LOG_LEVEL = 'error';
+const BackendPool = require('../src/backendPool');
+
+function retryableError(message) {
+  const error = new Error(message);
+  error.retryable = true;
+  return error;
+}
+
+// One host of the pool: healthy unless told otherwise, serving the given
+// models and answering with its own URL
+function fakeHost(url, models = ['llama3.2:3b']) {
+  const host = {
+    name: 'ollama',
+    displayName: 'Ollama',
+    baseUrl: url,
+    healthy: true,
+    models,
+    checkHealth: jest.fn(async () => host.healthy),
+    listModels: jest.fn(async () => host.models.map(name => ({ name, type: 'ollama' }))),
+    generateCompletion: jest.fn(async () => ({ host: url })),
+    streamCompletion: jest.fn(async (model, messages, options, onChunk) => {
+      onChunk({ content: url });
+      return { host: url };
+    }),
+    generateEmbeddings: jest.fn(async () => ({ host: url }))
+  };
+  return host;
+}
+
+async function startedPool(...hosts) {
+  const pool = new BackendPool(hosts, { probeIntervalMs: 0 });
+  await pool.checkHealth();
+  await pool.listModels();
+  return pool;
+}
+
+describe('BackendPool', () => {
+  test('registers the union of every healthy host\'s models', async () => {
+    const a = fakeHost('http://a', ['llama3.2:3b', 'qwen2.5:7b']);
+    const b = fakeHost('http://b', ['llama3.2:3b', 'mistral:7b']);
+    const down = fakeHost('http://c', ['phi4']);
+    down.healthy = false;
+
+    const pool = await startedPool(a, b, down);
+    const names = (await pool.listModels()).map(model => model.name);
+
+    expect(names.sort()).toEqual(['llama3.2:3b', 'mistral:7b', 'qwen2.5:7b']);
+    expect(pool.name).toBe('ollama');
+    expect(down.listModels).not.toHaveBeenCalled();
+  });
+
+  test('is healthy while any host is', async () => {
+    const a = fakeHost('http://a');
+    const b = fakeHost('http://b');
+    const pool = new BackendPool([a, b], { probeIntervalMs: 0 });
+
+    a.healthy = false;
+    expect(await pool.checkHealth()).toBe(true);
+    b.healthy = false;
+    expect(await pool.checkHealth()).toBe(false);
+  });
+
+  test('sends a request to a host that has the model', async () => {
+    const pool = await startedPool(fakeHost('http://a', ['qwen2.5:7b']), fakeHost('http://b', ['llama3.2:3b']));
+    expect(await pool.generateCompletion('llama3.2:3b', [])).toEqual({ host: 'http://b' });
+  });
+
+  test('prefers the host with fewer requests in flight, then the faster one', async () => {
+    const a = fakeHost('http://a');
+    const b = fakeHost('http://b');
+    const pool = await startedPool(a, b);
+    pool.hosts[0].latencyMs = 50;
+    pool.hosts[1].latencyMs = 10;
+    expect(pool.hostsFor('llama3.2:3b').map(host => host.url)).toEqual(['http://b', 'http://a']);
+
+    pool.hosts[1].inFlight = 1;
+    expect(pool.hostsFor('llama3.2:3b').map(host => host.url)).toEqual(['http://a', 'http://b']);
+  });
+
+  test('retries a retryable failure on the next host and takes the failed one out of rotation', async () => {
+    const a = fakeHost('http://a');
+    const b = fakeHost('http://b');
+    const pool = await startedPool(a, b);
+    pool.hosts[0].latencyMs = 0;
+    pool.hosts[1].latencyMs = 100;
+    a.generateCompletion.mockRejectedValueOnce(retryableError('connection refused'));
+
+    expect(await pool.generateCompletion('llama3.2:3b', [])).toEqual({ host: 'http://b' });
+    expect(pool.status()[0]).toMatchObject({ url: 'http://a', healthy: false, failures: 1, inFlight: 0 });
+  });
+
+  test('does not retry errors that are not retryable', async () => {
+    const a = fakeHost('http://a');
+    const b = fakeHost('http://b');
+    const pool = await startedPool(a, b);
+    pool.hosts[0].latencyMs = 0;
+    pool.hosts[1].latencyMs = 100;
+    a.generateCompletion.mockRejectedValueOnce(new Error('bad request'));
+
+    await expect(pool.generateCompletion('llama3.2:3b', [])).rejects.toThrow('bad request');
+    expect(b.generateCompletion).not.toHaveBeenCalled();
+  });
+
+  test('does not retry a stream that has already produced output', async () => {
+    const a = fakeHost('http://a');
+    const b = fakeHost('http://b');
+    const pool = await startedPool(a, b);
+    pool.hosts[0].latencyMs = 0;
+    pool.hosts[1].latencyMs = 100;
+    a.streamCompletion.mockImplementationOnce(async (model, messages, options, onChunk) => {
+      onChunk({ content: 'Hel' });
+      throw retryableError('connection reset');
+    });
+
+    const chunks = [];
+    await expect(pool.streamCompletion('llama3.2:3b', [], {}, delta => chunks.push(delta.content)))
+      .rejects.toThrow('connection reset');
+    expect(chunks).toEqual(['Hel']);
+    expect(b.streamCompletion).not.toHaveBeenCalled();
+  });
+
+  test('fails when no healthy host has the model', async () => {
+    const pool = await startedPool(fakeHost('http://a'));
+    await expect(pool.generateEmbeddings('nomic-embed-text', ['a'])).rejects.toThrow('no healthy host has nomic-embed-text');
+  });
+
+  test('re-reads a host\'s models when it comes back', async () => {
+    const a = fakeHost('http://a');
+    const pool = await startedPool(a);
+
+    a.healthy = false;
+    await pool.probe();
+    a.models = ['qwen2.5:7b'];
+    a.healthy = true;
+    await pool.probe();
+
+    expect(pool.hostsFor('qwen2.5:7b')).toHaveLength(1);
+    expect(pool.hostsFor('llama3.2:3b')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,44 @@
+// __tests__/backoff.test.js
+const Backoff = require('../src/backoff');
+
+describe('Backoff', () => {
+  test('doubles the delay up to the maximum', () => {
+    const backoff = new Backoff({ baseDelayMs: 100, maxDelayMs: 500, jitter: 0 });
+    expect([1, 2, 3, 4, 5].map(() => backoff.next())).toEqual([100, 200, 400, 500, 500]);
+  });
+
+  test('randomizes the delay by up to the jitter', () => {
+    const random = jest.spyOn(Math, 'random');
+    try {
+      const backoff = new Backoff({ baseDelayMs: 1000, jitter: 0.5 });
+      random.mockReturnValueOnce(1);
+      expect(backoff.next()).toBe(500);
+      random.mockReturnValueOnce(0);
+      expect(backoff.next()).toBe(2000);
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  test('returns null once out of attempts', () => {
+    const backoff = new Backoff({ baseDelayMs: 10, maxAttempts: 2, jitter: 0 });
+    expect(backoff.next()).toBe(10);
+    expect(backoff.next()).toBe(20);
+    expect(backoff.next()).toBeNull();
+  });
+
+  test('retries forever when maxAttempts is 0', () => {
+    const backoff = new Backoff({ baseDelayMs: 10, maxDelayMs: 10, maxAttempts: 0, jitter: 0 });
+    for (let i = 0; i < 100; i++) backoff.next();
+    expect(backoff.next()).toBe(10);
+  });
+
+  test('starts over after reset', () => {
+    const backoff = new Backoff({ baseDelayMs: 10, jitter: 0 });
+    backoff.next();
+    backoff.next();
+    backoff.reset();
+    expect(backoff.attempts).toBe(0);
+    expect(backoff.next()).toBe(10);
+  });
+});
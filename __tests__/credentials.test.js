@@ -0,0 +1,117 @@
+// __tests__/credentials.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readCredentials, writeCredentials, deleteCredentials, hasLoosePermissions } = require('../src/credentials');
+
+describe('credentials', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmule-credentials-'));
+    filePath = path.join(dir, 'nested', 'credentials.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns null when nothing is saved', () => {
+    expect(readCredentials(filePath)).toBeNull();
+  });
+
+  test('saves and reads back the key with the time it was saved', () => {
+    writeCredentials(filePath, { apiKey: 'key-1', email: 'me@example.com', apiUrl: 'https://api.example.com' });
+    expect(readCredentials(filePath)).toEqual({
+      apiKey: 'key-1',
+      email: 'me@example.com',
+      apiUrl: 'https://api.example.com',
+      savedAt: expect.any(String)
+    });
+  });
+
+  test('throws on a file that isn\'t JSON', () => {
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, '{broken');
+    expect(() => readCredentials(filePath)).toThrow(`Could not read credentials from ${filePath}`);
+  });
+
+  test('deletes the file and says whether there was one', () => {
+    writeCredentials(filePath, { apiKey: 'key-1' });
+    expect(deleteCredentials(filePath)).toBe(true);
+    expect(deleteCredentials(filePath)).toBe(false);
+  });
+
+  if (process.platform !== 'win32') {
+    test('keeps the file readable by its owner only', () => {
+      writeCredentials(filePath, { apiKey: 'key-1' });
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+      expect(hasLoosePermissions(filePath)).toBe(false);
+
+      fs.chmodSync(filePath, 0o644);
+      expect(hasLoosePermissions(filePath)).toBe(true);
+
+      // Rewriting replaces the file, so the loose mode doesn't survive
+      writeCredentials(filePath, { apiKey: 'key-2' });
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    });
+  }
+});
+
+describe('config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmule-credentials-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Loads a fresh config with the given environment, without printing
+  function loadConfig(env) {
+    const saved = { ...process.env };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    delete process.env.API_KEY;
+    Object.assign(process.env, { LLMULE_CONFIG: path.join(dir, 'none.json'), ...env });
+    try {
+      let config;
+      jest.isolateModules(() => {
+        config = require('../src/config');
+      });
+      expect(warn).not.toHaveBeenCalled();
+      return config;
+    } finally {
+      process.env = saved;
+      warn.mockRestore();
+    }
+  }
+
+  test('uses the saved key for the API it was saved for', () => {
+    const filePath = path.join(dir, 'credentials.json');
+    writeCredentials(filePath, { apiKey: 'key-1', apiUrl: 'https://api.example.com/' });
+
+    const config = loadConfig({ CREDENTIALS_PATH: filePath, API_URL: 'https://api.example.com' });
+    expect(config).toMatchObject({ api_key: 'key-1', api_key_source: 'credentials', credentials_warning: null });
+  });
+
+  test('records why a broken credentials file was ignored', () => {
+    const filePath = path.join(dir, 'credentials.json');
+    fs.writeFileSync(filePath, '{broken');
+
+    const config = loadConfig({ CREDENTIALS_PATH: filePath });
+    expect(config.api_key).toBeUndefined();
+    expect(config.credentials_warning).toMatch(`Could not read credentials from ${filePath}`);
+  });
+
+  test('records why a key saved for another API was ignored', () => {
+    const filePath = path.join(dir, 'credentials.json');
+    writeCredentials(filePath, { apiKey: 'key-1', apiUrl: 'https://other.example.com' });
+
+    const config = loadConfig({ CREDENTIALS_PATH: filePath, API_URL: 'https://api.example.com' });
+    expect(config.api_key).toBeUndefined();
+    expect(config.credentials_warning).toMatch('was saved for https://other.example.com, not https://api.example.com');
+  });
+});
@@ -0,0 +1,72 @@
+// __tests__/embeddings.test.js
+const config = require('../src/config');
+const { normalizeEmbeddingInput, embedInBatches, embeddingMessages } = require('../src/embeddings');
+
+describe('normalizeEmbeddingInput', () => {
+  const saved = { ...config };
+  afterEach(() => Object.assign(config, saved));
+
+  test('accepts every OpenAI input form as a list', () => {
+    expect(normalizeEmbeddingInput('text')).toEqual(['text']);
+    expect(normalizeEmbeddingInput(['a', 'b'])).toEqual(['a', 'b']);
+    expect(normalizeEmbeddingInput([1, 2, 3])).toEqual([[1, 2, 3]]);
+    expect(normalizeEmbeddingInput([[1, 2], [3]])).toEqual([[1, 2], [3]]);
+  });
+
+  test('rejects empty and malformed input', () => {
+    [undefined, '', [], [''], ['a', 5], [[]], { text: 'a' }].forEach(input => {
+      expect(() => normalizeEmbeddingInput(input)).toThrow(expect.objectContaining({ code: 'invalid_request' }));
+    });
+  });
+
+  test('rejects more inputs than the node accepts', () => {
+    config.max_embedding_inputs = 2;
+    expect(() => normalizeEmbeddingInput(['a', 'b', 'c'])).toThrow('this node accepts at most 2');
+  });
+});
+
+describe('embedInBatches', () => {
+  const saved = { ...config };
+  afterEach(() => Object.assign(config, saved));
+
+  // A backend that embeds each input as its length and reports one token per
+  // input, measured unless told otherwise
+  const fakeClient = (accounting = 'measured') => ({
+    generateEmbeddings: jest.fn(async (model, batch) => ({
+      data: batch.map((input, index) => ({ object: 'embedding', index, embedding: [input.length] })),
+      usage: { prompt_tokens: batch.length, total_tokens: batch.length, accounting }
+    }))
+  });
+
+  test('splits inputs into batches and stitches the results back together in order', async () => {
+    config.embedding_batch_size = 2;
+    const client = fakeClient();
+    const result = await embedInBatches(client, 'nomic-embed-text', ['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+
+    expect(client.generateEmbeddings.mock.calls.map(call => call[1])).toEqual([['a', 'bb'], ['ccc', 'dddd'], ['eeeee']]);
+    expect(result).toEqual({
+      object: 'list',
+      model: 'nomic-embed-text',
+      data: [1, 2, 3, 4, 5].map((length, index) => ({ object: 'embedding', index, embedding: [length] })),
+      usage: { prompt_tokens: 5, total_tokens: 5, accounting: 'measured' }
+    });
+  });
+
+  test('marks the usage estimated when any batch was', async () => {
+    const { usage } = await embedInBatches(fakeClient('estimated'), 'nomic-embed-text', ['a']);
+    expect(usage).toMatchObject({ accounting: 'estimated', tokenizer: 'chars' });
+  });
+
+  test('passes the abort signal to the backend', async () => {
+    const client = fakeClient();
+    const { signal } = new AbortController();
+    await embedInBatches(client, 'nomic-embed-text', ['a'], { signal });
+    expect(client.generateEmbeddings).toHaveBeenCalledWith('nomic-embed-text', ['a'], { signal });
+  });
+});
+
+describe('embeddingMessages', () => {
+  test('turns text inputs into user messages and skips token arrays', () => {
+    expect(embeddingMessages(['a', [1, 2]])).toEqual([{ role: 'user', content: 'a' }]);
+  });
+});
@@ -0,0 +1,77 @@
+// __tests__/imageInputs.test.js
+const config = require('../src/config');
+const { validateImages, toOllamaImages, toDataUrlImages } = require('../src/imageInputs');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const withImages = (...urls) => [{
+  role: 'user',
+  content: [{ type: 'text', text: 'What is this?' }, ...urls.map(url => ({ type: 'image_url', image_url: { url } }))]
+}];
+
+const vision = { name: 'llava:7b', metadata: { capabilities: ['vision'] } };
+
+describe('validateImages', () => {
+  const saved = { ...config };
+  afterEach(() => Object.assign(config, saved));
+
+  test('accepts data URLs and bare base64 for vision models and models of unknown capabilities', () => {
+    expect(() => validateImages(withImages(`data:image/png;base64,${PNG}`, PNG), vision)).not.toThrow();
+    expect(() => validateImages(withImages(PNG), { name: 'mystery' })).not.toThrow();
+  });
+
+  test('ignores requests without images', () => {
+    expect(() => validateImages([{ role: 'user', content: 'Hi' }], { name: 'x', metadata: { capabilities: [] } })).not.toThrow();
+  });
+
+  test('rejects images for models known not to accept them', () => {
+    expect(() => validateImages(withImages(PNG), { name: 'llama3.2:3b', metadata: { capabilities: ['tools'] } }))
+      .toThrow(expect.objectContaining({ code: 'model_not_multimodal' }));
+  });
+
+  test('never fetches image URLs', () => {
+    expect(() => validateImages(withImages('https://example.com/cat.png'), vision))
+      .toThrow(expect.objectContaining({ code: 'unsupported_image_url' }));
+  });
+
+  test('rejects missing and malformed images', () => {
+    expect(() => validateImages(withImages(''), vision)).toThrow(expect.objectContaining({ code: 'invalid_image' }));
+    expect(() => validateImages(withImages('not base64!'), vision)).toThrow(expect.objectContaining({ code: 'invalid_image' }));
+  });
+
+  test('enforces the image count and size limits', () => {
+    config.max_images_per_request = 1;
+    expect(() => validateImages(withImages(PNG, PNG), vision)).toThrow(expect.objectContaining({ code: 'too_many_images' }));
+
+    config.max_image_bytes = 10;
+    expect(() => validateImages(withImages(PNG), vision)).toThrow(expect.objectContaining({ code: 'image_too_large' }));
+  });
+});
+
+describe('toOllamaImages', () => {
+  test('moves images into a list of bare base64 next to the text', () => {
+    expect(toOllamaImages(withImages(`data:image/png;base64,${PNG}`))).toEqual([
+      { role: 'user', content: 'What is this?', images: [PNG] }
+    ]);
+  });
+
+  test('leaves plain messages alone', () => {
+    const messages = [{ role: 'user', content: 'Hi' }];
+    expect(toOllamaImages(messages)).toEqual(messages);
+  });
+});
+
+describe('toDataUrlImages', () => {
+  test('turns bare base64 into a data URL of the sniffed type and keeps other fields', () => {
+    const messages = [{
+      role: 'user',
+      content: [{ type: 'image_url', image_url: { url: '/9j/4AAQSkZJRg==', detail: 'low' } }]
+    }];
+    expect(toDataUrlImages(messages)[0].content[0].image_url).toEqual({ url: 'data:image/jpeg;base64,/9j/4AAQSkZJRg==', detail: 'low' });
+  });
+
+  test('accepts image_url given as a plain string', () => {
+    const messages = [{ role: 'user', content: [{ type: 'image_url', image_url: PNG }] }];
+    expect(toDataUrlImages(messages)[0].content[0].image_url).toEqual({ url: `data:image/png;base64,${PNG}` });
+  });
+});
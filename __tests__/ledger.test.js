@@ -0,0 +1,74 @@
+// __tests__/ledger.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Ledger, readLedger } = require('../src/ledger');
+
+async function readAll(filePath) {
+  const entries = [];
+  for await (const entry of readLedger(filePath)) entries.push(entry);
+  return entries;
+}
+
+describe('Ledger', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmule-ledger-'));
+    filePath = path.join(dir, 'nested', 'ledger.jsonl');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const served = (balanceBefore, balanceAfter, extra = {}) => ({
+    requestId: 'r1',
+    model: 'llama3.2:3b',
+    provider: 'ollama',
+    tier: 'small',
+    outcome: 'success',
+    usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5, accounting: 'measured' },
+    latencyMs: 120,
+    balanceBefore,
+    balanceAfter,
+    ...extra
+  });
+
+  test('appends one JSON line per request, creating the directory', async () => {
+    const ledger = new Ledger(filePath);
+    ledger.append(served(1, 1.5));
+
+    const [entry] = await readAll(filePath);
+    expect(entry).toMatchObject({
+      requestId: 'r1',
+      source: 'network',
+      model: 'llama3.2:3b',
+      promptTokens: 3,
+      completionTokens: 2,
+      totalTokens: 5,
+      accounting: 'measured',
+      earned: 0.5
+    });
+  });
+
+  test('takes earnings from the balance after the previous entry', () => {
+    const ledger = new Ledger(filePath);
+    ledger.append(served(1, 1.5));
+    // Overlapping request that saw the old balance
+    expect(ledger.append(served(1, 2)).earned).toBe(0.5);
+  });
+
+  test('records no earnings for failures and gateway requests', () => {
+    const ledger = new Ledger(filePath);
+    expect(ledger.append(served(1, 1.5, { outcome: 'error' })).earned).toBe(0);
+    expect(ledger.append(served(null, null, { source: 'gateway' })).earned).toBe(0);
+  });
+
+  test('reads nothing from a missing file and skips lines cut short', async () => {
+    expect(await readAll(filePath)).toEqual([]);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{"requestId":"a"}\n\n{"requestId":"b"');
+    expect(await readAll(filePath)).toEqual([{ requestId: 'a' }]);
+  });
+});
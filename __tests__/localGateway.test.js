@@ -0,0 +1,148 @@
+// __tests__/localGateway.test.js
+const http = require('http');
+process.env.LOG_LEVEL = 'error';
+const config = require('../src/config');
+const LocalGateway = require('../src/localGateway');
+const RequestScheduler = require('../src/requestScheduler');
+
+const MODELS = [
+  { name: 'llama3.2:3b', type: 'ollama', kind: 'chat', tier: 'small' },
+  { name: 'nomic-embed-text', type: 'ollama', kind: 'embedding', tier: 'small' }
+];
+
+// The parts of NetworkClient the gateway uses, with a backend that answers
+// every request with the same text
+function fakeNetworkClient() {
+  const reply = { role: 'assistant', content: 'Hello!' };
+  const usage = { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 };
+  return {
+    models: MODELS,
+    scheduler: new RequestScheduler(),
+    metrics: { recordRequest: jest.fn() },
+    ledger: { append: jest.fn() },
+    llmClients: {
+      ollama: {
+        generateCompletion: jest.fn(async () => ({ choices: [{ index: 0, message: reply, finish_reason: 'stop' }], usage })),
+        streamCompletion: jest.fn(async (model, messages, options, onDelta) => {
+          onDelta({ content: 'Hello' });
+          onDelta({ content: '!' });
+          return { choices: [{ index: 0, message: reply, finish_reason: 'stop' }], usage };
+        }),
+        generateEmbeddings: jest.fn(async (model, inputs) => ({
+          data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: [0.1, 0.2] })),
+          usage: { prompt_tokens: inputs.length, total_tokens: inputs.length }
+        }))
+      }
+    }
+  };
+}
+
+describe('LocalGateway', () => {
+  let client;
+  let server;
+  let baseUrl;
+  const saved = { ...config };
+
+  beforeEach(async () => {
+    client = fakeNetworkClient();
+    const gateway = new LocalGateway(client);
+    server = await new Promise(resolve => {
+      const listening = gateway.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    Object.assign(config, saved);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  // fetch won't send a Host header of our choosing
+  const getWithHost = (host, headers = {}) => new Promise((resolve, reject) => {
+    http.get(`${baseUrl}/v1/models`, { headers: { Host: host, ...headers } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+
+  test('lists the shared models', async () => {
+    const body = await (await fetch(`${baseUrl}/v1/models`)).json();
+    expect(body.data.map(model => model.id)).toEqual(['llama3.2:3b', 'nomic-embed-text']);
+  });
+
+  test('answers a chat completion and records it as gateway traffic', async () => {
+    const response = await post('/v1/chat/completions', { model: 'llama3.2:3b', messages: [{ role: 'user', content: 'Hi' }] });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({ object: 'chat.completion', model: 'llama3.2:3b', usage: { total_tokens: 5 } });
+    expect(body.choices[0].message.content).toBe('Hello!');
+    expect(client.ledger.append).toHaveBeenCalledWith(expect.objectContaining({ source: 'gateway', outcome: 'success', balanceBefore: null }));
+  });
+
+  test('streams a chat completion as server-sent events', async () => {
+    const response = await post('/v1/chat/completions', { model: 'llama3.2:3b', messages: [{ role: 'user', content: 'Hi' }], stream: true });
+    const text = await response.text();
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    const events = text.trim().split('\n\n').map(event => event.replace(/^data: /, ''));
+    expect(events.pop()).toBe('[DONE]');
+    expect(events.map(event => JSON.parse(event).choices[0].delta.content).join('')).toBe('Hello!');
+  });
+
+  test('embeds a batch of inputs', async () => {
+    const body = await (await post('/v1/embeddings', { model: 'nomic-embed-text', input: ['a', 'b'] })).json();
+    expect(body.data.map(item => item.index)).toEqual([0, 1]);
+  });
+
+  test('rejects an unknown model, bad messages and bad parameters', async () => {
+    const unknown = await post('/v1/chat/completions', { model: 'nope', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(unknown.status).toBe(404);
+
+    const empty = await post('/v1/chat/completions', { model: 'llama3.2:3b', messages: [] });
+    expect(empty.status).toBe(400);
+
+    const hot = await post('/v1/chat/completions', { model: 'llama3.2:3b', messages: [{ role: 'user', content: 'Hi' }], temperature: 5 });
+    expect((await hot.json()).error.code).toBe('invalid_parameter');
+  });
+
+  test('rejects a chat request for an embedding model and the other way round', async () => {
+    const chat = await post('/v1/chat/completions', { model: 'nomic-embed-text', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(chat.status).toBe(400);
+    expect((await chat.json()).error.code).toBe('unsupported_model');
+
+    const embed = await post('/v1/embeddings', { model: 'llama3.2:3b', input: 'text' });
+    expect(embed.status).toBe(400);
+    expect((await embed.json()).error.code).toBe('unsupported_model');
+
+    expect(client.llmClients.ollama.generateCompletion).not.toHaveBeenCalled();
+    expect(client.llmClients.ollama.generateEmbeddings).not.toHaveBeenCalled();
+  });
+
+  test('requires GATEWAY_API_KEY when one is set', async () => {
+    config.gateway_api_key = 'secret';
+    expect((await fetch(`${baseUrl}/v1/models`)).status).toBe(401);
+    expect((await fetch(`${baseUrl}/v1/models`, { headers: { Authorization: 'Bearer secret' } })).status).toBe(200);
+  });
+
+  test('without a key, only answers requests addressed to this machine', async () => {
+    const port = server.address().port;
+    expect(await getWithHost(`localhost:${port}`)).toBe(200);
+    expect(await getWithHost(`[::1]:${port}`)).toBe(200);
+    expect(await getWithHost(`attacker.example:${port}`)).toBe(403);
+
+    config.gateway_host = 'workstation.lan';
+    expect(await getWithHost(`workstation.lan:${port}`)).toBe(200);
+  });
+
+  test('with a key, answers requests addressed to any host', async () => {
+    config.gateway_api_key = 'secret';
+    expect(await getWithHost('gateway.example', { Authorization: 'Bearer secret' })).toBe(200);
+  });
+});
@@ -0,0 +1,89 @@
+// __tests__/logger.test.js
+
+// Loads a fresh logger (and config) with the given environment
+function loadLogger(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, { LOG_LEVEL: 'debug', LOG_FORMAT: 'json', LOG_PROMPTS: 'false', ...env });
+  try {
+    let logger;
+    jest.isolateModules(() => {
+      logger = require('../src/logger');
+    });
+    return logger;
+  } finally {
+    process.env = saved;
+  }
+}
+
+describe('redact', () => {
+  const { redact } = loadLogger({ API_KEY: 'sk-live-1234567890' });
+
+  test('hides secret fields, bearer tokens and configured keys', () => {
+    expect(redact({
+      apiKey: 'anything',
+      headers: { Authorization: 'Bearer abc.def' },
+      url: 'http://x/?key=sk-live-1234567890',
+      error: 'request failed: Bearer abc.def'
+    })).toEqual({
+      apiKey: '[redacted]',
+      headers: { Authorization: '[redacted]' },
+      url: 'http://x/?key=[redacted]',
+      error: 'request failed: Bearer [redacted]'
+    });
+  });
+
+  test('replaces prompt and completion text by its size', () => {
+    expect(redact({ messages: [{ role: 'user', content: 'hi' }], content: 'secret plans', model: 'llama3.2:3b' })).toEqual({
+      messages: '[1 item redacted]',
+      content: '[12 chars redacted]',
+      model: 'llama3.2:3b'
+    });
+  });
+
+  test('keeps prompts when LOG_PROMPTS is set', () => {
+    const logger = loadLogger({ LOG_PROMPTS: 'true' });
+    expect(logger.redact({ content: 'hello' })).toEqual({ content: 'hello' });
+  });
+
+  test('reduces errors to their message and code', () => {
+    const error = Object.assign(new Error('Bearer abc failed'), { code: 'request_timeout' });
+    expect(redact({ error })).toEqual({ error: { message: 'Bearer [redacted] failed', code: 'request_timeout' } });
+    expect(redact(new Error('plain'))).toBe('plain');
+  });
+});
+
+describe('createLogger', () => {
+  let stdout;
+
+  beforeEach(() => {
+    stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => stdout.mockRestore());
+
+  test('writes redacted JSON lines', () => {
+    const log = loadLogger({ API_KEY: 'sk-live-1234567890' }).createLogger('test');
+    log.info('Connected with sk-live-1234567890', { server: 'wss://example', apiKey: 'x' });
+
+    const line = JSON.parse(stdout.mock.calls[0][0]);
+    expect(line).toMatchObject({ level: 'info', module: 'test', msg: 'Connected with [redacted]', server: 'wss://example', apiKey: '[redacted]' });
+  });
+
+  test('leaves out messages below LOG_LEVEL', () => {
+    const log = loadLogger({ LOG_LEVEL: 'warn' }).createLogger('test');
+    log.info('hidden');
+    log.warn('shown');
+    expect(stdout).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends every line to the sink while one is set, even as JSON', () => {
+    const logger = loadLogger();
+    const sink = jest.fn();
+    logger.setLogSink(sink);
+    logger.createLogger('test').warn('Backend slow');
+    logger.setLogSink(null);
+
+    expect(stdout).not.toHaveBeenCalled();
+    expect(sink).toHaveBeenCalledWith('warn', expect.stringContaining('Backend slow'));
+  });
+});
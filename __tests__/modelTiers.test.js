@@ -0,0 +1,90 @@
+// __tests__/modelTiers.test.js
+const {
+  classifyModel,
+  modelKind,
+  parseParameterCount,
+  parametersFromName,
+  quantizationBits
+} = require('../src/modelTiers');
+
+describe('parseParameterCount', () => {
+  test.each([
+    ['7.2B', 7.2],
+    ['137M', 0.137],
+    [' 70b', 70],
+    [8, 8],
+    ['', null],
+    ['unknown', null]
+  ])('%j -> %j', (value, expected) => {
+    if (expected === null) {
+      expect(parseParameterCount(value)).toBeNull();
+    } else {
+      expect(parseParameterCount(value)).toBeCloseTo(expected);
+    }
+  });
+});
+
+describe('parametersFromName', () => {
+  test.each([
+    ['llama3.1:8b', 8],
+    ['qwen2.5-7b-instruct', 7],
+    ['mixtral:8x7b', 56],
+    ['gemma3:270m', 0.27],
+    ['Llama-3.2-1B-Instruct', 1],
+    ['mistral', null]
+  ])('%s -> %j', (name, expected) => {
+    expect(parametersFromName(name)).toEqual(expected);
+  });
+});
+
+describe('quantizationBits', () => {
+  test.each([
+    ['Q4_K_M', 4],
+    ['IQ2_XS', 2],
+    ['F16', 16],
+    ['AWQ', 4],
+    [undefined, null]
+  ])('%s -> %j', (quantization, expected) => {
+    expect(quantizationBits(quantization)).toBe(expected);
+  });
+});
+
+describe('classifyModel', () => {
+  test('prefers backend metadata over the name', () => {
+    expect(classifyModel('custom:8b', { parameters: 32 })).toEqual({ tier: 'large', tierSource: 'metadata', parameters: 32 });
+  });
+
+  test('falls back to the name, then the family', () => {
+    expect(classifyModel('qwen2.5-7b-instruct')).toMatchObject({ tier: 'medium', tierSource: 'name', parameters: 7 });
+    expect(classifyModel('mixtral:latest')).toMatchObject({ tier: 'xl', tierSource: 'family', parameters: 47 });
+  });
+
+  test('defaults to medium when the size is unknown', () => {
+    expect(classifyModel('mystery')).toEqual({ tier: 'medium', tierSource: 'default', parameters: null });
+  });
+
+  test('drops a tier for heavy quantization and another for a short context', () => {
+    expect(classifyModel('m:8b', { quantization: 'Q2_K' }).tier).toBe('small');
+    expect(classifyModel('m:30b', { quantization: 'IQ3_XS', contextLength: 2048 }).tier).toBe('small');
+    expect(classifyModel('m:1b', { quantization: 'Q2_K' }).tier).toBe('small');
+  });
+
+  test('puts embedding families in the small tier', () => {
+    expect(classifyModel('nomic-embed-text', { family: 'nomic-bert' })).toMatchObject({ tier: 'small', tierSource: 'family' });
+  });
+});
+
+describe('modelKind', () => {
+  test('trusts backend capabilities first', () => {
+    expect(modelKind('llama3', { capabilities: ['embedding'] })).toBe('embedding');
+    expect(modelKind('some-embed-model', { capabilities: ['completion'] })).toBe('chat');
+  });
+
+  test('falls back to the family and the name', () => {
+    expect(modelKind('x', { family: 'bert' })).toBe('embedding');
+    expect(modelKind('BAAI/bge-m3')).toBe('embedding');
+    expect(modelKind('all-MiniLM-L6-v2')).toBe('embedding');
+    expect(modelKind('llama3.2:3b')).toBe('chat');
+    expect(modelKind('gemma3:270m')).toBe('chat');
+  });
+});
@@ -0,0 +1,60 @@
+// __tests__/modelWatcher.test.js
+const { ModelWatcher, modelFingerprint } = require('../src/modelWatcher');
+
+const model = (name, extra = {}) => ({
+  name,
+  type: 'vllm',
+  metadata: { family: 'llama', parameters: 8, quantization: 'AWQ', contextLength: 8192 },
+  ...extra
+});
+
+// A detector that returns whatever the test put in `models`
+function fakeDetector(models) {
+  const detector = { models, detectAll: async () => detector.models };
+  return detector;
+}
+
+describe('modelFingerprint', () => {
+  test('ignores raw backend details that change between listings', () => {
+    const first = model('m', { details: { id: 'm', created: 1700000000, permission: [{ id: 'modelperm-1' }] } });
+    const second = model('m', { details: { id: 'm', created: 1700000060, permission: [{ id: 'modelperm-2' }] } });
+    expect(modelFingerprint(first)).toBe(modelFingerprint(second));
+  });
+
+  test('changes with the digest or the metadata', () => {
+    const base = modelFingerprint(model('m'));
+    expect(modelFingerprint(model('m', { digest: 'sha256:abc' }))).not.toBe(base);
+    expect(modelFingerprint(model('m', { metadata: { ...model('m').metadata, contextLength: 4096 } }))).not.toBe(base);
+  });
+});
+
+describe('ModelWatcher', () => {
+  test('reports added, removed and changed models', async () => {
+    const detector = fakeDetector([model('kept'), model('changed'), model('removed')]);
+    const watcher = new ModelWatcher(detector, { intervalMs: 0 });
+    watcher.setKnownModels(detector.models);
+
+    const events = {};
+    ['added', 'removed', 'changed'].forEach(event => {
+      watcher.on(event, models => { events[event] = models.map(m => m.name); });
+    });
+
+    detector.models = [model('kept'), model('changed', { digest: 'sha256:new' }), model('added')];
+    await watcher.check();
+
+    expect(events).toEqual({ added: ['added'], removed: ['removed'], changed: ['changed'] });
+  });
+
+  test('reports nothing when only the raw details moved', async () => {
+    const detector = fakeDetector([model('m', { details: { created: 1 } })]);
+    const watcher = new ModelWatcher(detector, { intervalMs: 0 });
+    watcher.setKnownModels(detector.models);
+    const changed = jest.fn();
+    watcher.on('changed', changed);
+
+    detector.models = [model('m', { details: { created: 2 } })];
+    await watcher.check();
+
+    expect(changed).not.toHaveBeenCalled();
+  });
+});
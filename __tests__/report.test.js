@@ -0,0 +1,84 @@
+// __tests__/report.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { summarize, loadEntries, toCSV } = require('../src/report');
+
+const entry = (timestamp, model, fields = {}) => ({
+  timestamp,
+  model,
+  tier: 'small',
+  outcome: 'success',
+  promptTokens: 10,
+  completionTokens: 5,
+  totalTokens: 15,
+  latencyMs: 100,
+  earned: 0.25,
+  ...fields
+});
+
+describe('summarize', () => {
+  const entries = [
+    entry('2025-01-02T10:00:00.000Z', 'b-model'),
+    entry('2025-01-01T10:00:00.000Z', 'a-model', { outcome: 'error', latencyMs: 300, earned: 0 }),
+    entry('2025-01-01T11:00:00.000Z', 'b-model', { tier: undefined })
+  ];
+
+  test('adds up each group and averages its latency', () => {
+    expect(summarize(entries, 'model')).toEqual([
+      { key: 'a-model', requests: 1, failed: 1, promptTokens: 10, completionTokens: 5, totalTokens: 15, avgLatencyMs: 300, earned: 0 },
+      { key: 'b-model', requests: 2, failed: 0, promptTokens: 20, completionTokens: 10, totalTokens: 30, avgLatencyMs: 100, earned: 0.5 }
+    ]);
+  });
+
+  test('groups by UTC day and by tier', () => {
+    expect(summarize(entries, 'day').map(row => [row.key, row.requests])).toEqual([['2025-01-01', 2], ['2025-01-02', 1]]);
+    expect(summarize(entries, 'tier').map(row => row.key)).toEqual(['small', 'unknown']);
+  });
+});
+
+describe('loadEntries', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmule-report-'));
+    filePath = path.join(dir, 'ledger.jsonl');
+    const lines = [
+      entry('2024-12-31T23:00:00.000Z', 'a-model', { source: 'network' }),
+      entry('2025-01-01T10:00:00.000Z', 'a-model', { source: 'network' }),
+      entry('2025-01-01T11:00:00.000Z', 'a-model', { source: 'gateway', earned: 0 }),
+      entry('2025-01-02T10:00:00.000Z', 'a-model')
+    ];
+    fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('leaves out gateway requests and keeps entries from before sources were recorded', async () => {
+    const entries = await loadEntries(filePath);
+    expect(entries.map(e => e.timestamp.slice(0, 10))).toEqual(['2024-12-31', '2025-01-01', '2025-01-02']);
+    expect(entries.some(e => e.source === 'gateway')).toBe(false);
+  });
+
+  test('keeps only the days between since and until', async () => {
+    const entries = await loadEntries(filePath, { since: '2025-01-01', until: '2025-01-01' });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].source).toBe('network');
+  });
+
+  test('exports only network requests to CSV', async () => {
+    const csv = toCSV([['model', summarize(await loadEntries(filePath), 'model')]]);
+    expect(csv).toBe(
+      'group,key,requests,failed,promptTokens,completionTokens,totalTokens,avgLatencyMs,earned\n'
+      + 'model,a-model,3,0,30,15,45,100,0.75\n'
+    );
+  });
+});
+
+describe('toCSV', () => {
+  test('quotes fields containing commas or quotes', () => {
+    const [row] = summarize([entry('2025-01-01T10:00:00.000Z', 'org/"model",v2')], 'model');
+    expect(toCSV([['model', [row]]]).split('\n')[1]).toMatch(/^model,"org\/""model"",v2",1,/);
+  });
+});
@@ -0,0 +1,114 @@
+// __tests__/requestScheduler.test.js
+const RequestScheduler = require('../src/requestScheduler');
+
+// A task that runs until finish() is called, recording when it started
+function deferredTask(started, label) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const task = () => {
+    started.push(label);
+    return done.then(() => label);
+  };
+  return { task, finish: () => finish() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestScheduler', () => {
+  test('runs requests straight away while under the limits', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 2, maxPerModel: 2 });
+    await expect(scheduler.schedule('a', async () => 'done')).resolves.toBe('done');
+  });
+
+  test('queues a request once its model is at its limit and runs it when a slot frees', async () => {
+    const scheduler = new RequestScheduler({ maxPerModel: 1 });
+    const started = [];
+    const first = deferredTask(started, 'first');
+    const second = deferredTask(started, 'second');
+
+    const running = scheduler.schedule('a', first.task);
+    const queued = scheduler.schedule('a', second.task);
+    await tick();
+    expect(started).toEqual(['first']);
+    expect(scheduler.getStats()).toMatchObject({ inFlight: 1, queueDepth: 1, models: { a: { inFlight: 1, queued: 1 } } });
+
+    first.finish();
+    await running;
+    await tick();
+    expect(started).toEqual(['first', 'second']);
+    second.finish();
+    await expect(queued).resolves.toBe('second');
+  });
+
+  test('lets requests for other models past one whose model is busy', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 4, maxPerModel: 1, maxActiveModels: 2 });
+    const started = [];
+    const a1 = deferredTask(started, 'a1');
+
+    scheduler.schedule('a', a1.task);
+    scheduler.schedule('a', deferredTask(started, 'a2').task);
+    scheduler.schedule('b', deferredTask(started, 'b').task);
+    await tick();
+
+    expect(started).toEqual(['a1', 'b']);
+
+    a1.finish();
+    await tick();
+    expect(started).toEqual(['a1', 'b', 'a2']);
+  });
+
+  test('does not let newer requests for a running model starve one waiting for an active-model slot', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 4, maxPerModel: 2, maxActiveModels: 1 });
+    const started = [];
+    const a1 = deferredTask(started, 'a1');
+    const b = deferredTask(started, 'b');
+
+    scheduler.schedule('a', a1.task);
+    const waiting = scheduler.schedule('b', b.task);
+    scheduler.schedule('a', deferredTask(started, 'a2').task);
+    await tick();
+    expect(started).toEqual(['a1']);
+
+    a1.finish();
+    await tick();
+    await tick();
+    expect(started).toEqual(['a1', 'b']);
+
+    b.finish();
+    await waiting;
+    await tick();
+    expect(started).toEqual(['a1', 'b', 'a2']);
+  });
+
+  test('rejects with queue_full when the queue is full', async () => {
+    const scheduler = new RequestScheduler({ maxPerModel: 1, maxQueueSize: 0 });
+    scheduler.schedule('a', () => new Promise(() => {}));
+    await expect(scheduler.schedule('a', async () => {})).rejects.toMatchObject({ code: 'queue_full' });
+  });
+
+  test('rejects with queue_timeout when a request waits too long', async () => {
+    const scheduler = new RequestScheduler({ maxPerModel: 1, maxQueueWaitMs: 20 });
+    scheduler.schedule('a', () => new Promise(() => {}));
+    await expect(scheduler.schedule('a', async () => {})).rejects.toMatchObject({ code: 'queue_timeout' });
+    expect(scheduler.getStats().queueDepth).toBe(0);
+  });
+
+  test('takes an aborted request out of the queue', async () => {
+    const scheduler = new RequestScheduler({ maxPerModel: 1 });
+    scheduler.schedule('a', () => new Promise(() => {}));
+
+    const controller = new AbortController();
+    const queued = scheduler.schedule('a', async () => {}, { signal: controller.signal });
+    controller.abort(new Error('cancelled'));
+
+    await expect(queued).rejects.toThrow('cancelled');
+    expect(scheduler.getStats().queueDepth).toBe(0);
+  });
+
+  test('rejects a request whose signal is already aborted', async () => {
+    const scheduler = new RequestScheduler();
+    const controller = new AbortController();
+    controller.abort(new Error('gone'));
+    await expect(scheduler.schedule('a', async () => {}, { signal: controller.signal })).rejects.toThrow('gone');
+  });
+});
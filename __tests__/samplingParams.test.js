@@ -0,0 +1,52 @@
+// __tests__/samplingParams.test.js
+const {
+  OLLAMA_PARAMS,
+  OPENAI_PARAMS,
+  normalizeSamplingParams,
+  mapSamplingParams
+} = require('../src/samplingParams');
+
+describe('normalizeSamplingParams', () => {
+  test('fills in defaults', () => {
+    expect(normalizeSamplingParams({})).toEqual({ temperature: 0.7, max_tokens: 4096 });
+  });
+
+  test('keeps 0 and treats null as not set', () => {
+    expect(normalizeSamplingParams({ temperature: 0, top_p: null })).toEqual({ temperature: 0, max_tokens: 4096 });
+  });
+
+  test('ignores fields that are not sampling parameters', () => {
+    expect(normalizeSamplingParams({ model: 'x', messages: [] })).not.toHaveProperty('model');
+  });
+
+  test('wraps a single stop sequence in an array', () => {
+    expect(normalizeSamplingParams({ stop: '\n' }).stop).toEqual(['\n']);
+  });
+
+  test.each([
+    [{ temperature: 3 }, 'temperature must be at most 2'],
+    [{ temperature: '0.5' }, 'temperature must be a number'],
+    [{ max_tokens: 0 }, 'max_tokens must be at least 1'],
+    [{ top_k: 1.5 }, 'top_k must be an integer'],
+    [{ stop: [1] }, 'stop must be a string or an array of strings'],
+    [{ stop: Array(17).fill('x') }, 'stop accepts at most 16 sequences'],
+    [{ logit_bias: { abc: 1 } }, 'logit_bias maps token IDs to numbers between -100 and 100'],
+    [{ logit_bias: [] }, 'logit_bias must be an object of token IDs to biases']
+  ])('rejects %j', (request, message) => {
+    expect(() => normalizeSamplingParams(request)).toThrow(expect.objectContaining({ message, code: 'invalid_parameter' }));
+  });
+});
+
+describe('mapSamplingParams', () => {
+  test('renames parameters for Ollama', () => {
+    const { mapped, unsupported } = mapSamplingParams({ max_tokens: 100, top_k: 40, logit_bias: { 1: 5 } }, OLLAMA_PARAMS);
+    expect(mapped).toEqual({ num_predict: 100, top_k: 40 });
+    expect(unsupported).toEqual(['logit_bias']);
+  });
+
+  test('lists what an OpenAI-compatible backend would ignore', () => {
+    const { mapped, unsupported } = mapSamplingParams({ temperature: 1, top_k: 40, repeat_penalty: 1.1 }, OPENAI_PARAMS);
+    expect(mapped).toEqual({ temperature: 1 });
+    expect(unsupported).toEqual(['top_k', 'repeat_penalty']);
+  });
+});
@@ -0,0 +1,199 @@
+// __tests__/scenarios.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// The mocks log through the client's logger; keep them quiet
+const NODE_LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+process.env.LOG_LEVEL = 'warn';
+
+const { MockCoordinator } = require('../src/mockCoordinator');
+const { FakeBackend } = require('../src/fakeBackends');
+
+// End-to-end runs of the real client (src/index.js) against the mock
+// coordinator and fake backends, with no network access or models needed.
+// Each test starts a fresh node process and checks what reaches the
+// coordinator. Set SCENARIO_VERBOSE=true to see the node's logs.
+
+jest.setTimeout(60000);
+
+const CHAT_MODEL = 'llama3.2:3b';
+const REPLY = new FakeBackend('ollama').behaviour.reply;
+const hello = [{ role: 'user', content: 'Say hello' }];
+
+// Starts the node as `npm start` would, pointed at the mocks, with its
+// ledger and other files in a temporary directory
+function spawnNode(coordinator, backends, dataDir, env) {
+  return spawn(process.execPath, [path.join(__dirname, '..', 'src', 'index.js')], {
+    cwd: dataDir,
+    env: {
+      ...process.env,
+      SERVER_URL: coordinator.url.ws,
+      API_URL: coordinator.url.api,
+      API_KEY: 'mock-key',
+      CREDENTIALS_PATH: path.join(dataDir, 'credentials.json'),
+      HEADLESS: 'true',
+      LOG_FORMAT: 'json',
+      LOG_LEVEL: NODE_LOG_LEVEL,
+      LLMULE_CONFIG: path.join(dataDir, 'llmule.config.json'),
+      OLLAMA_URL: backends.ollama.url,
+      LMSTUDIO_URL: backends.lmstudio.url,
+      EXO_URL: backends.exo.url,
+      LLAMACPP_URL: '',
+      VLLM_URL: '',
+      OPENAI_COMPATIBLE_URLS: '',
+      LEDGER_PATH: path.join(dataDir, 'ledger.jsonl'),
+      POLICY_AUDIT_PATH: path.join(dataDir, 'policy-audit.jsonl'),
+      BENCHMARK_PATH: path.join(dataDir, 'benchmarks.json'),
+      AUTO_BENCHMARK: 'false',
+      RECONNECT_BASE_DELAY_MS: '200',
+      GATEWAY_PORT: '0',
+      METRICS_PORT: '0',
+      ...env
+    },
+    stdio: process.env.SCENARIO_VERBOSE === 'true' ? ['ignore', 'inherit', 'inherit'] : 'ignore'
+  });
+}
+
+function stopNode(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    const forceKill = setTimeout(() => child.kill('SIGKILL'), 5000);
+    child.once('exit', () => {
+      clearTimeout(forceKill);
+      resolve();
+    });
+    child.kill('SIGTERM');
+  });
+}
+
+// Runs scenario({ coordinator, backends }) against a fresh node and mocks,
+// failing early if the node exits, and tears everything down afterwards
+async function withNode(env, scenario) {
+  const coordinator = new MockCoordinator({ pingIntervalMs: 1000 });
+  const backends = {
+    ollama: new FakeBackend('ollama'),
+    lmstudio: new FakeBackend('lmstudio'),
+    exo: new FakeBackend('exo')
+  };
+  await coordinator.start(0);
+  await Promise.all(Object.values(backends).map(backend => backend.start(0)));
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmule-scenario-'));
+  const child = spawnNode(coordinator, backends, dataDir, env);
+
+  let onExit;
+  try {
+    const exited = new Promise((resolve, reject) => {
+      onExit = code => reject(new Error(`Node exited early with code ${code}`));
+      child.once('exit', onExit);
+    });
+    await Promise.race([scenario({ coordinator, backends }), exited]);
+  } finally {
+    child.off('exit', onExit);
+    await stopNode(child);
+    await coordinator.stop();
+    await Promise.all(Object.values(backends).map(backend => backend.stop()));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+function replyOf({ response }) {
+  return response.choices?.[0]?.message?.content ?? response.error?.message;
+}
+
+function streamedText({ chunks }) {
+  return chunks.map(delta => delta.content || '').join('');
+}
+
+test('serves completions and embeddings from every backend', () => withNode({}, async ({ coordinator }) => {
+  const [node] = await coordinator.waitFor('registered');
+  expect(node.models).toEqual(expect.arrayContaining(['llama3.2:3b', 'qwen2.5-7b-instruct', 'llama-3.2-1b']));
+  expect(node.embeddingModels).toContain('nomic-embed-text:latest');
+
+  expect(replyOf(await coordinator.complete({ model: CHAT_MODEL, messages: hello }))).toBe(REPLY);
+
+  const streamed = await coordinator.complete({ model: CHAT_MODEL, messages: hello, stream: true });
+  expect(streamedText(streamed)).toBe(REPLY);
+  expect(streamed.response.usage?.completion_tokens).toBeGreaterThan(0);
+
+  expect(replyOf(await coordinator.complete({ model: 'qwen2.5-7b-instruct', messages: hello }))).toBe(REPLY);
+  expect(replyOf(await coordinator.complete({ model: 'llama-3.2-1b', messages: hello }))).toBe(REPLY);
+
+  const { response } = await coordinator.embed({ model: 'nomic-embed-text:latest', input: ['one', 'two', 'three'] });
+  expect(response.data?.map(item => item.index)).toEqual([0, 1, 2]);
+}));
+
+test('reconnects and delivers answers produced while offline', () => withNode({}, async ({ coordinator, backends }) => {
+  await coordinator.waitFor('registered');
+
+  coordinator.dropConnections();
+  const [node] = await coordinator.waitFor('registered');
+  expect(node.models).toContain(CHAT_MODEL);
+
+  // Drop the connection while the answer is being streamed
+  backends.ollama.setBehaviour({ tokenDelayMs: 150 });
+  const pending = coordinator.complete({ model: CHAT_MODEL, messages: hello, stream: true });
+  await coordinator.waitFor('message', { filter: (from, message) => message.type === 'completion_chunk' });
+  coordinator.dropConnections();
+
+  const streamed = await pending;
+  expect(streamedText(streamed)).toBe(REPLY);
+  expect(streamed.response.error).toBeUndefined();
+}));
+
+test('times out and cancels requests to a backend that stalls', () => withNode({ REQUEST_TIMEOUT_MS: '1500' }, async ({ coordinator, backends }) => {
+  await coordinator.waitFor('registered');
+  backends.ollama.setBehaviour({ fail: 'hang' });
+
+  const startedAt = Date.now();
+  const timedOut = await coordinator.complete({ model: CHAT_MODEL, messages: hello });
+  expect(timedOut.response.error?.code).toBe('request_timeout');
+  expect(Date.now() - startedAt).toBeLessThan(5000);
+
+  const requestId = 'scenario-cancel';
+  const pending = coordinator.complete({ requestId, model: CHAT_MODEL, messages: hello });
+  setTimeout(() => coordinator.cancel(requestId), 300);
+  expect((await pending).response.error?.code).toBe('request_cancelled');
+
+  backends.ollama.reset();
+  expect(replyOf(await coordinator.complete({ model: CHAT_MODEL, messages: hello }))).toBe(REPLY);
+}));
+
+test('survives garbage from the coordinator and the backend', () => withNode({}, async ({ coordinator, backends }) => {
+  await coordinator.waitFor('registered');
+
+  coordinator.sendRaw('this is not JSON {');
+  coordinator.sendRaw(JSON.stringify({ type: 'no_such_message' }));
+  coordinator.sendRaw(JSON.stringify({ type: 'completion_request', requestId: 'scenario-no-model' }));
+
+  const empty = await coordinator.complete({ model: CHAT_MODEL, messages: [] });
+  expect(empty.response.error?.code).toBe('invalid_request');
+  const unknown = await coordinator.complete({ model: 'no-such-model', messages: hello });
+  expect(unknown.response.error).toBeDefined();
+  const wrongKind = await coordinator.embed({ model: CHAT_MODEL, input: 'text' });
+  expect(wrongKind.response.error?.code).toBe('unsupported_model');
+
+  backends.ollama.setBehaviour({ fail: 'malformed' });
+  expect((await coordinator.complete({ model: CHAT_MODEL, messages: hello })).response.error).toBeDefined();
+  backends.ollama.reset();
+
+  expect(coordinator.nodes.size).toBe(1);
+  expect(replyOf(await coordinator.complete({ model: CHAT_MODEL, messages: hello }))).toBe(REPLY);
+}));
+
+test('reports backend failures as error responses', () => withNode({}, async ({ coordinator, backends }) => {
+  await coordinator.waitFor('registered');
+
+  backends.ollama.setBehaviour({ fail: 'error' });
+  expect((await coordinator.complete({ model: CHAT_MODEL, messages: hello })).response.error).toBeDefined();
+
+  backends.lmstudio.setBehaviour({ fail: 'drop' });
+  const dropped = await coordinator.complete({ model: 'qwen2.5-7b-instruct', messages: hello, stream: true });
+  expect(dropped.response.error).toBeDefined();
+
+  backends.ollama.reset();
+  backends.lmstudio.reset();
+  expect(replyOf(await coordinator.complete({ model: CHAT_MODEL, messages: hello }))).toBe(REPLY);
+}));
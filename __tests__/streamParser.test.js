@@ -0,0 +1,51 @@
+// __tests__/streamParser.test.js
+const { PassThrough } = require('stream');
+const { readLines, readNDJSON, readSSE } = require('../src/streamParser');
+
+// A stream that delivers the given chunks as they are, split wherever
+function streamOf(chunks) {
+  const stream = new PassThrough();
+  chunks.forEach(chunk => stream.write(chunk));
+  stream.end();
+  return stream;
+}
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+describe('readLines', () => {
+  test('reassembles lines split across chunks and keeps a final unterminated line', async () => {
+    expect(await collect(readLines(streamOf(['one\ntw', 'o\n', 'thr', 'ee'])))).toEqual(['one', 'two', 'three']);
+  });
+
+  test('keeps multibyte characters split across chunks intact', async () => {
+    const bytes = Buffer.from('héllo\n');
+    expect(await collect(readLines(streamOf([bytes.subarray(0, 2), bytes.subarray(2)])))).toEqual(['héllo']);
+  });
+});
+
+describe('readNDJSON', () => {
+  test('parses each non-empty line', async () => {
+    expect(await collect(readNDJSON(streamOf(['{"a":1}\n\n{"b"', ':2}\n'])))).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  test('throws on a malformed line', async () => {
+    await expect(collect(readNDJSON(streamOf(['{"a":\n'])))).rejects.toThrow(SyntaxError);
+  });
+});
+
+describe('readSSE', () => {
+  test('parses data lines, skips the rest and stops at [DONE]', async () => {
+    const events = [
+      ': keep-alive\n',
+      'event: message\ndata: {"n":1}\n\n',
+      'data:{"n":2}\n\n',
+      'data: [DONE]\n\n',
+      'data: {"n":3}\n\n'
+    ];
+    expect(await collect(readSSE(streamOf(events)))).toEqual([{ n: 1 }, { n: 2 }]);
+  });
+});
@@ -0,0 +1,82 @@
+// __tests__/tokenizer.test.js
+const {
+  countTextTokens,
+  countMessageTokens,
+  resolveUsage,
+  resolveEmbeddingUsage,
+  tokenizerFor
+} = require('../src/tokenizer');
+
+describe('tokenizerFor', () => {
+  test('picks the tiktoken encoding of known families and falls back to characters', () => {
+    expect(tokenizerFor('llama3.2:3b')).toBe('cl100k_base');
+    expect(tokenizerFor('gpt-oss:20b')).toBe('o200k_base');
+    expect(tokenizerFor('mistral:7b')).toBe('chars');
+    expect(tokenizerFor(undefined)).toBe('chars');
+  });
+});
+
+describe('countTextTokens', () => {
+  test('counts four characters per token for unknown families', () => {
+    expect(countTextTokens('mistral:7b', 'abcdefgh')).toBe(2);
+    expect(countTextTokens('mistral:7b', '')).toBe(0);
+  });
+
+  test('counts with the family encoding', () => {
+    expect(countTextTokens('llama3.2:3b', 'Hello world')).toBe(2);
+  });
+});
+
+describe('countMessageTokens', () => {
+  test('adds the per-message overhead and a fixed cost per image', () => {
+    const text = [{ role: 'user', content: 'abcd' }];
+    const image = [{ role: 'user', content: [{ type: 'text', text: 'abcd' }, { type: 'image_url', image_url: { url: 'x' } }] }];
+    expect(countMessageTokens('mistral:7b', text)).toBe(5);
+    expect(countMessageTokens('mistral:7b', image)).toBe(5 + 576);
+  });
+});
+
+describe('resolveUsage', () => {
+  const messages = [{ role: 'user', content: 'abcd' }];
+
+  test('keeps the numbers the backend reported', () => {
+    expect(resolveUsage('mistral:7b', messages, 'abcd', { prompt_tokens: 10, completion_tokens: 3 })).toEqual({
+      prompt_tokens: 10,
+      completion_tokens: 3,
+      total_tokens: 13,
+      accounting: 'measured'
+    });
+  });
+
+  test('counts locally whatever the backend left out', () => {
+    expect(resolveUsage('mistral:7b', messages, 'abcdefgh', { prompt_tokens: 10 })).toEqual({
+      prompt_tokens: 10,
+      completion_tokens: 2,
+      total_tokens: 12,
+      accounting: 'estimated',
+      tokenizer: 'chars'
+    });
+  });
+
+  test('estimates everything when usage is missing or null', () => {
+    const expected = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7, accounting: 'estimated', tokenizer: 'chars' };
+    expect(resolveUsage('mistral:7b', messages, 'abcdefgh')).toEqual(expected);
+    expect(resolveUsage('mistral:7b', messages, 'abcdefgh', null)).toEqual(expected);
+  });
+});
+
+describe('resolveEmbeddingUsage', () => {
+  test('keeps the reported prompt tokens', () => {
+    expect(resolveEmbeddingUsage('nomic-embed-text', 'abcd', { prompt_tokens: 7 })).toEqual({
+      prompt_tokens: 7,
+      total_tokens: 7,
+      accounting: 'measured'
+    });
+  });
+
+  test('counts strings and pre-tokenized inputs when usage is missing or null', () => {
+    const usage = resolveEmbeddingUsage('nomic-embed-text', ['abcdefgh', [1, 2, 3]], null);
+    expect(usage).toMatchObject({ prompt_tokens: 5, total_tokens: 5, accounting: 'estimated' });
+    expect(resolveEmbeddingUsage('nomic-embed-text', 'abcd')).toMatchObject({ prompt_tokens: 1 });
+  });
+});
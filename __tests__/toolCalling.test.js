@@ -0,0 +1,113 @@
+// __tests__/toolCalling.test.js
+const {
+  normalizeToolParams,
+  openAIToolFields,
+  ollamaToolFields,
+  toOllamaMessages,
+  fromOllamaToolCalls,
+  mergeToolCallDeltas,
+  finalToolCalls
+} = require('../src/toolCalling');
+
+const weather = { type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } };
+const schema = { type: 'json_schema', json_schema: { name: 'answer', schema: { type: 'object' } } };
+
+describe('normalizeToolParams', () => {
+  test('returns nothing for a request without tools', () => {
+    expect(normalizeToolParams({ messages: [] })).toEqual({});
+  });
+
+  test('accepts tools, a named tool_choice and a JSON schema', () => {
+    const request = {
+      tools: [weather],
+      tool_choice: { type: 'function', function: { name: 'get_weather' } },
+      response_format: schema
+    };
+    expect(normalizeToolParams(request)).toEqual(request);
+  });
+
+  test.each([
+    [{ tools: {} }, 'tools must be an array'],
+    [{ tools: [{ type: 'function' }] }, 'tools[0] must be { type: "function", function: { name, parameters } }'],
+    [{ tool_choice: 'always' }, 'tool_choice must be one of none, auto, required or a function'],
+    [{ tools: [weather], tool_choice: { type: 'function', function: { name: 'other' } } }, 'tool_choice names a function that isn\'t in tools: other'],
+    [{ response_format: { type: 'xml' } }, 'response_format.type must be one of text, json_object, json_schema'],
+    [{ response_format: { type: 'json_schema', json_schema: {} } }, 'response_format.json_schema.schema must be a JSON schema object']
+  ])('rejects %j', (request, message) => {
+    expect(() => normalizeToolParams(request)).toThrow(expect.objectContaining({ message, code: 'invalid_parameter' }));
+  });
+});
+
+describe('openAIToolFields', () => {
+  test('passes set fields through unchanged', () => {
+    expect(openAIToolFields({ tools: [weather], tool_choice: 'auto' })).toEqual({ tools: [weather], tool_choice: 'auto' });
+  });
+});
+
+describe('ollamaToolFields', () => {
+  test('converts response formats', () => {
+    expect(ollamaToolFields({ response_format: { type: 'json_object' } }).fields).toEqual({ format: 'json' });
+    expect(ollamaToolFields({ response_format: schema }).fields).toEqual({ format: { type: 'object' } });
+  });
+
+  test('leaves tools out when tool_choice is none', () => {
+    expect(ollamaToolFields({ tools: [weather], tool_choice: 'none' })).toEqual({ fields: {}, unsupported: [] });
+  });
+
+  test('reports a forced tool choice as unsupported', () => {
+    const { fields, unsupported } = ollamaToolFields({ tools: [weather], tool_choice: 'required' });
+    expect(fields.tools).toEqual([weather]);
+    expect(unsupported).toEqual(['tool_choice']);
+  });
+});
+
+describe('toOllamaMessages', () => {
+  test('parses call arguments and names tool results by function', () => {
+    const messages = toOllamaMessages([
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: 'sunny' }
+    ]);
+
+    expect(messages).toEqual([
+      { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+      { role: 'tool', content: 'sunny', tool_name: 'get_weather' }
+    ]);
+  });
+
+  test('turns unparseable arguments into an empty object', () => {
+    const [message] = toOllamaMessages([
+      { role: 'assistant', tool_calls: [{ id: 'x', function: { name: 'f', arguments: '{not json' } }] }
+    ]);
+    expect(message.tool_calls[0].function.arguments).toEqual({});
+  });
+});
+
+describe('fromOllamaToolCalls', () => {
+  test('gives each call an ID and JSON arguments, numbered from startIndex', () => {
+    const calls = fromOllamaToolCalls([{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }], 2);
+    expect(calls).toEqual([{
+      index: 2,
+      id: expect.stringMatching(/^call_[0-9a-f]{24}$/),
+      type: 'function',
+      function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+    }]);
+  });
+});
+
+describe('mergeToolCallDeltas', () => {
+  test('assembles streamed calls and strips the index', () => {
+    const calls = [];
+    mergeToolCallDeltas(calls, [{ index: 0, id: 'call_1', function: { name: 'get_weather', arguments: '{"ci' } }]);
+    mergeToolCallDeltas(calls, [{ index: 0, function: { arguments: 'ty":"Paris"}' } }]);
+    mergeToolCallDeltas(calls, [{ index: 1, id: 'call_2', function: { name: 'now', arguments: '{}' } }]);
+
+    expect(finalToolCalls(calls)).toEqual([
+      { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+      { id: 'call_2', type: 'function', function: { name: 'now', arguments: '{}' } }
+    ]);
+  });
+});
@@ -0,0 +1,178 @@
+// src/account.js
+const axios = require('axios');
+const { prompt } = require('enquirer');
+const config = require('./config');
+const { writeCredentials, deleteCredentials } = require('./credentials');
+
+// Calls to the LLMule API for the account behind an API key, and the
+// sign-up, login and logout flows that manage the saved key. Used by the
+// node while it runs and by the CLI without connecting to the network.
+
+// The email carries either the API key itself or a short code to exchange
+// for one; keys are much longer than codes. Exchanging codes (/auth/verify)
+// and rotating keys (/auth/rotate-key) aren't part of every server's API.
+const VERIFICATION_CODE = /^[A-Za-z0-9-]{4,12}$/;
+const MAX_ATTEMPTS = 3;
+
+function authHeaders(apiKey) {
+  return {
+    'Authorization': `Bearer ${apiKey}`,
+    'Accept': 'application/json'
+  };
+}
+
+// Throws when the server answers with anything but 200, with the server's
+// error message and the HTTP status on error.status
+async function apiRequest(method, endpoint, { apiKey, data } = {}) {
+  const response = await axios({
+    method,
+    url: `${config.api_url}${endpoint}`,
+    headers: apiKey ? authHeaders(apiKey) : { 'Accept': 'application/json' },
+    data,
+    validateStatus: false
+  });
+
+  if (response.status !== 200) {
+    const error = new Error(response.data?.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.data;
+}
+
+// { userId, email, provider }
+function getUserInfo(apiKey = config.api_key) {
+  return apiRequest('get', '/auth/me', { apiKey });
+}
+
+// { mule_balance, available_tokens, last_updated }
+function getBalance(apiKey = config.api_key) {
+  return apiRequest('get', '/v1/balance', { apiKey });
+}
+
+function isRejected(error) {
+  return error.status === 401 || error.status === 403;
+}
+
+// Checks a key against the account endpoint and saves it as the key to use
+// from now on, in this process too. Returns the account. A key that can't
+// be checked is not saved.
+async function saveApiKey(apiKey, email) {
+  let user;
+  try {
+    user = await getUserInfo(apiKey);
+  } catch (error) {
+    if (isRejected(error)) throw new Error('The server rejected that API key');
+    if (error.status === 404) {
+      throw new Error(`Could not verify the API key: ${config.api_url} has no /auth/me endpoint - check API_URL. The key was not saved`);
+    }
+    throw new Error(`Could not verify the API key: ${error.message}. The key was not saved`);
+  }
+
+  writeCredentials(config.credentials_path, {
+    apiKey,
+    email: user.email || email || null,
+    userId: user.userId || null,
+    apiUrl: config.api_url
+  });
+  config.api_key = apiKey;
+  config.api_key_source = 'credentials';
+  config.credentials_warning = null;
+  return user;
+}
+
+function printSaved(user) {
+  console.log(`\n✅ Signed in${user.email ? ` as ${user.email}` : ''}`);
+  console.log(`🔐 API key saved to ${config.credentials_path}`);
+  if (process.env.API_KEY) {
+    console.log('⚠️  API_KEY is also set in the environment or .env and takes precedence - remove it to use the saved key');
+  }
+}
+
+async function askFor(message, type = 'input', validate = value => (value.trim() ? true : 'Required')) {
+  const { answer } = await prompt({ type, name: 'answer', message, validate });
+  return answer.trim();
+}
+
+async function redeemCode(email, code) {
+  try {
+    const { apiKey } = await apiRequest('post', '/auth/verify', { data: { email, code } });
+    return apiKey;
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error('Could not verify the code: this server doesn\'t accept verification codes - paste the API key from the email instead');
+    }
+    throw error;
+  }
+}
+
+// Signs an email address up, then takes the API key or verification code
+// from the email, checks it and saves it. Prompts for the email when none
+// is given. Resolves with the API key. Writes to the terminal directly.
+async function register(email) {
+  if (!email) {
+    email = await askFor('Please enter your email:', 'input', value => (value.includes('@') ? true : 'Please enter a valid email'));
+  } else if (!email.includes('@')) {
+    throw new Error(`"${email}" is not a valid email`);
+  }
+
+  console.log('\n📨 Registering with server...');
+  await apiRequest('post', '/auth/register', { data: { email } });
+  console.log('📧 Check your email for your API key or verification code\n');
+
+  for (let attempt = 1; ; attempt++) {
+    const answer = await askFor('Paste the API key or code from the email:', 'password');
+    try {
+      const apiKey = VERIFICATION_CODE.test(answer) ? await redeemCode(email, answer) : answer;
+      printSaved(await saveApiKey(apiKey, email));
+      return apiKey;
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) throw error;
+      console.log(`❌ ${error.message} - please try again`);
+    }
+  }
+}
+
+// Saves an API key the user already has, e.g. a new one from the website.
+// Prompts for it when none is given.
+async function login(apiKey) {
+  const key = apiKey || await askFor('Paste your API key:', 'password');
+  const user = await saveApiKey(key);
+  printSaved(user);
+  return key;
+}
+
+// Asks the server for a new key in place of the current one, which stops
+// working, and saves it
+async function rotateKey() {
+  if (!config.api_key) {
+    throw new Error('No API key to rotate - run `llmule login` or `llmule register` first');
+  }
+
+  let apiKey;
+  try {
+    ({ apiKey } = await apiRequest('post', '/auth/rotate-key', { apiKey: config.api_key }));
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error('Could not rotate the key: this server doesn\'t support key rotation, and your current key still works. Get a new key at llmule.xyz and run `llmule login`');
+    }
+    throw new Error(isRejected(error) ? 'The server rejected the current API key' : error.message);
+  }
+
+  printSaved(await saveApiKey(apiKey));
+  console.log('🔄 The old key no longer works - update any other machines that use it');
+  return apiKey;
+}
+
+// Forgets the saved key. Returns false when there was none.
+function logout() {
+  const removed = deleteCredentials(config.credentials_path);
+  config.credentials_warning = null;
+  if (config.api_key_source === 'credentials') {
+    config.api_key = undefined;
+    config.api_key_source = null;
+  }
+  return removed;
+}
+
+module.exports = { getUserInfo, getBalance, register, login, rotateKey, logout };
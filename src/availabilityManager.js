@@ -0,0 +1,205 @@
+// src/availabilityManager.js
+const fs = require('fs');
+const os = require('os');
+const { exec } = require('child_process');
+const EventEmitter = require('events');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Decides whether this machine should take network requests right now.
+// The node pauses when any configured condition says the machine is busy:
+//
+//   maxCpuLoad       fraction of total CPU in use (0-1) since the last check
+//   minFreeMemoryMb  memory available to new processes
+//   busyCommand      shell command that exits 0 while the machine is busy
+//   schedule         weekly windows in local time, e.g.
+//                    [{ "days": ["mon", "tue"], "from": "18:00", "to": "08:00" }]
+//
+// It resumes once every condition has been clear for resumeAfterChecks
+// checks in a row, so a short lull doesn't flip it back and forth. The
+// operator can also pause by hand (reason 'manual'), which holds until they
+// resume.
+// Emits 'change' with { available, reason } whenever the verdict flips.
+class AvailabilityManager extends EventEmitter {
+  constructor({
+    intervalMs = 15000,
+    maxCpuLoad,
+    minFreeMemoryMb,
+    busyCommand,
+    schedule,
+    resumeAfterChecks = 2
+  } = {}, { isServing = () => false } = {}) {
+    super();
+    this.intervalMs = intervalMs;
+    this.maxCpuLoad = maxCpuLoad;
+    this.minFreeMemoryMb = minFreeMemoryMb;
+    this.busyCommand = busyCommand;
+    this.schedule = schedule ? schedule.map(parseWindow) : null;
+    this.resumeAfterChecks = resumeAfterChecks;
+    this.isServing = isServing;
+
+    this.available = true;
+    this.reason = null;
+    this.since = Date.now();
+    this.clearChecks = 0;
+    this.resourceReason = null; // last CPU/memory verdict
+    this.manualPause = false;
+    this.cpuSample = null;
+    this.timer = null;
+  }
+
+  get enabled() {
+    return Boolean(this.maxCpuLoad || this.minFreeMemoryMb || this.busyCommand || this.schedule);
+  }
+
+  get status() {
+    return { available: this.available, reason: this.reason, since: this.since };
+  }
+
+  async start() {
+    if (!this.enabled) return;
+    await this.check();
+    this.timer = setInterval(() => this.check(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Pausing takes effect at once. Resuming hands back to the configured
+  // conditions, which may keep the node paused for their own reasons.
+  async setPaused(paused) {
+    this.manualPause = paused;
+    if (paused) {
+      this.update(false, 'manual');
+      return;
+    }
+
+    const reason = await this.busyReason();
+    this.clearChecks = reason ? 0 : this.resumeAfterChecks;
+    this.update(!reason, reason);
+  }
+
+  async check() {
+    if (this.manualPause) return;
+
+    const reason = await this.busyReason();
+
+    if (reason) {
+      this.clearChecks = 0;
+      this.update(false, reason);
+      return;
+    }
+
+    this.clearChecks++;
+    if (!this.available && this.clearChecks >= this.resumeAfterChecks) {
+      this.update(true, null);
+    }
+  }
+
+  update(available, reason) {
+    if (available === this.available && reason === this.reason) return;
+
+    this.available = available;
+    this.reason = reason;
+    this.since = Date.now();
+    this.emit('change', this.status);
+  }
+
+  // Returns why the machine is busy, or null. The schedule is checked first
+  // since it needs no measuring.
+  async busyReason() {
+    if (this.schedule && !this.schedule.some(window => inWindow(window, new Date()))) {
+      return 'schedule';
+    }
+
+    // Our own requests load the machine too; while one is running keep the
+    // previous verdict rather than pausing because of ourselves
+    const cpu = this.sampleCpu();
+    if (!this.isServing()) {
+      this.resourceReason = null;
+      if (this.maxCpuLoad && cpu !== null && cpu > this.maxCpuLoad) {
+        this.resourceReason = 'cpu';
+      } else if (this.minFreeMemoryMb && availableMemoryMb() < this.minFreeMemoryMb) {
+        this.resourceReason = 'memory';
+      }
+    }
+    if (this.resourceReason) return this.resourceReason;
+
+    if (this.busyCommand && await runsSuccessfully(this.busyCommand)) {
+      return 'busy_command';
+    }
+    return null;
+  }
+
+  // CPU use across all cores since the previous sample, null on the first
+  sampleCpu() {
+    const totals = os.cpus().reduce((sum, cpu) => {
+      const { idle, ...busy } = cpu.times;
+      sum.idle += idle;
+      sum.total += idle + Object.values(busy).reduce((a, b) => a + b, 0);
+      return sum;
+    }, { idle: 0, total: 0 });
+
+    const previous = this.cpuSample;
+    this.cpuSample = totals;
+    if (!previous || totals.total === previous.total) return null;
+
+    return 1 - (totals.idle - previous.idle) / (totals.total - previous.total);
+  }
+}
+
+// MemAvailable counts reclaimable page cache, which os.freemem() doesn't
+function availableMemoryMb() {
+  try {
+    const match = /^MemAvailable:\s+(\d+) kB/m.exec(fs.readFileSync('/proc/meminfo', 'utf8'));
+    if (match) return parseInt(match[1]) / 1024;
+  } catch {
+    // not Linux
+  }
+  return os.freemem() / 1024 / 1024;
+}
+
+function runsSuccessfully(command) {
+  return new Promise(resolve => {
+    exec(command, { timeout: 10000 }, error => resolve(!error));
+  });
+}
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) {
+    throw new Error(`Invalid schedule time "${value}" - expected HH:MM`);
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+function parseWindow({ days = DAYS, from, to }) {
+  const dayIndexes = days.map(day => {
+    const index = DAYS.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (index === -1) {
+      throw new Error(`Invalid schedule day "${day}"`);
+    }
+    return index;
+  });
+  return { days: dayIndexes, from: parseTime(from), to: parseTime(to) };
+}
+
+// Windows that end before they start run past midnight; the day list names
+// the day they start on
+function inWindow(window, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+
+  if (window.from <= window.to) {
+    return window.days.includes(day) && minutes >= window.from && minutes < window.to;
+  }
+  const yesterday = (day + 6) % 7;
+  return (window.days.includes(day) && minutes >= window.from)
+    || (window.days.includes(yesterday) && minutes < window.to);
+}
+
+module.exports = AvailabilityManager;
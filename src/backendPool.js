@@ -0,0 +1,200 @@
+// src/backendPool.js
+const { LLMClient } = require('./llmClients');
+const { createLogger } = require('./logger');
+
+const log = createLogger('pool');
+
+// Weight of the newest probe in a host's latency, so one slow probe doesn't
+// reorder the hosts
+const LATENCY_SMOOTHING = 0.3;
+
+// Several hosts running the same backend, presented as a single provider so
+// the node registers the combined model set. Hosts are probed every
+// probeIntervalMs. A model found on more than one host goes to the host
+// with the fewest requests in flight, then the lowest latency. A request
+// whose host fails before it has produced any output is retried on the
+// next healthy host that has the model.
+class BackendPool extends LLMClient {
+  constructor(members, { probeIntervalMs = 10000 } = {}) {
+    const [first] = members;
+    super({
+      name: first.name,
+      displayName: first.displayName,
+      installHints: first.installHints,
+      emptyHints: first.emptyHints
+    });
+    this.probeIntervalMs = probeIntervalMs;
+    this.hosts = members.map(client => ({
+      client,
+      url: client.baseUrl || client.apiBase,
+      healthy: false,
+      latencyMs: null,
+      inFlight: 0,
+      failures: 0,
+      checkedAt: null,
+      models: new Set()
+    }));
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer || !this.probeIntervalMs) return;
+    this.timer = setInterval(() => this.probe(), this.probeIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async checkHealth() {
+    await this.probe();
+    return this.hosts.some(host => host.healthy);
+  }
+
+  async probe() {
+    await Promise.all(this.hosts.map(host => this.probeHost(host)));
+  }
+
+  async probeHost(host) {
+    const startedAt = Date.now();
+    const healthy = await host.client.checkHealth();
+    const latencyMs = Date.now() - startedAt;
+    const firstCheck = host.checkedAt === null;
+    const recovered = healthy && !host.healthy;
+
+    if (!firstCheck && healthy !== host.healthy) {
+      if (healthy) {
+        log.info(`✅ ${this.displayName} host is back`, { host: host.url, latencyMs });
+      } else {
+        log.warn(`⚠️  ${this.displayName} host is down`, { host: host.url });
+      }
+    }
+
+    host.healthy = healthy;
+    host.checkedAt = Date.now();
+    if (healthy) {
+      host.failures = 0;
+      host.latencyMs = host.latencyMs === null
+        ? latencyMs
+        : Math.round(host.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    }
+
+    // A host coming back may have different models than before it went away
+    if (recovered && !firstCheck) {
+      await this.refreshModels(host);
+    }
+  }
+
+  async refreshModels(host) {
+    try {
+      const models = await host.client.listModels();
+      host.models = new Set(models.map(model => model.name));
+      return models;
+    } catch (error) {
+      log.debug('Could not list models', { host: host.url, error: error.message });
+      return [];
+    }
+  }
+
+  // The union of every healthy host's models
+  async listModels() {
+    const healthy = this.hosts.filter(host => host.healthy);
+    const lists = await Promise.all(healthy.map(host => this.refreshModels(host)));
+
+    const models = new Map();
+    lists.flat().forEach(model => {
+      if (!models.has(model.name)) models.set(model.name, model);
+    });
+    return [...models.values()];
+  }
+
+  async describeModel(model) {
+    const [host] = this.hostsFor(model.name);
+    return host ? host.client.describeModel(model) : {};
+  }
+
+  async generateCompletion(model, messages, options = {}) {
+    return this.route(model, options.signal, client =>
+      client.generateCompletion(model, messages, options)
+    );
+  }
+
+  async streamCompletion(model, messages, options = {}, onChunk) {
+    // Once part of the answer has been sent, a retry would repeat it
+    let streamed = false;
+    return this.route(model, options.signal, client =>
+      client.streamCompletion(model, messages, options, (delta) => {
+        streamed = true;
+        onChunk(delta);
+      }),
+      () => streamed
+    );
+  }
+
+  async generateEmbeddings(model, input, options = {}) {
+    return this.route(model, options.signal, client =>
+      client.generateEmbeddings(model, input, options)
+    );
+  }
+
+  async memoryUsage(model) {
+    const [host] = this.hostsFor(model);
+    return host ? host.client.memoryUsage(model) : null;
+  }
+
+  // Healthy hosts that have the model, best first
+  hostsFor(model) {
+    return this.hosts
+      .filter(host => host.healthy && host.models.has(model))
+      .sort((a, b) => a.inFlight - b.inFlight || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity));
+  }
+
+  async route(model, signal, call, hasOutput = () => false) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (;;) {
+      const host = this.hostsFor(model).find(candidate => !tried.has(candidate));
+      if (!host) break;
+      tried.add(host);
+
+      host.inFlight++;
+      try {
+        return await call(host.client);
+      } catch (error) {
+        if (signal?.aborted || !error.retryable || hasOutput()) throw error;
+
+        // Out of rotation until the next probe finds it healthy again
+        host.healthy = false;
+        host.failures++;
+        lastError = error;
+        log.warn(`⚠️  ${this.displayName} host failed - trying another`, {
+          host: host.url,
+          model,
+          error: error.message
+        });
+      } finally {
+        host.inFlight--;
+      }
+    }
+
+    throw lastError || new Error(`${this.displayName} error: no healthy host has ${model}`);
+  }
+
+  status() {
+    return this.hosts.map(host => ({
+      url: host.url,
+      healthy: host.healthy,
+      latencyMs: host.latencyMs,
+      inFlight: host.inFlight,
+      failures: host.failures,
+      models: host.models.size,
+      checkedAt: host.checkedAt ? new Date(host.checkedAt).toISOString() : null
+    }));
+  }
+}
+
+module.exports = BackendPool;
@@ -0,0 +1,31 @@
+// src/backoff.js
+
+// Exponential backoff with jitter. Each call to next() doubles the delay up
+// to maxDelayMs and randomizes it by up to `jitter` of its value, so nodes
+// that lost their connection at the same moment don't reconnect in lockstep.
+class Backoff {
+  constructor({ baseDelayMs = 1000, maxDelayMs = 60000, maxAttempts = 0, jitter = 0.5 } = {}) {
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxAttempts = maxAttempts; // 0 retries forever
+    this.jitter = jitter;
+    this.attempts = 0;
+  }
+
+  // Returns the delay before the next attempt, or null when out of attempts
+  next() {
+    if (this.maxAttempts > 0 && this.attempts >= this.maxAttempts) {
+      return null;
+    }
+
+    const delay = Math.min(this.baseDelayMs * 2 ** this.attempts, this.maxDelayMs);
+    this.attempts++;
+    return Math.round(delay * (1 - this.jitter * Math.random()));
+  }
+
+  reset() {
+    this.attempts = 0;
+  }
+}
+
+module.exports = Backoff;
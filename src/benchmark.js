@@ -0,0 +1,231 @@
+// src/benchmark.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const chalk = require('chalk');
+const config = require('./config');
+const ModelDetector = require('./modelDetector');
+const SharingPolicy = require('./sharingPolicy');
+const { matchesAny } = require('./modelPatterns');
+const { modelKey, modelFingerprint } = require('./modelWatcher');
+const { printTable } = require('./format');
+const { createLogger } = require('./logger');
+
+const log = createLogger('benchmark');
+
+// The same prompts and settings on every machine, so results compare
+const PROMPTS = [
+  'Explain in one paragraph how a hash table handles collisions.',
+  'Write a short story of about 100 words about a lighthouse keeper.',
+  'List five practical tips for writing readable code, one sentence each.'
+];
+const OPTIONS = { temperature: 0, seed: 42, max_tokens: 128 };
+
+// What the results depend on besides the model. GPUs aren't visible from
+// Node, but the CPU and memory tell machines apart well enough.
+function hardwareProfile() {
+  const cpus = os.cpus();
+  const profile = {
+    platform: `${os.platform()}-${os.arch()}`,
+    cpu: cpus[0]?.model.trim() || 'unknown',
+    cores: cpus.length,
+    memoryGb: Math.round(os.totalmem() / 1024 ** 3)
+  };
+  const id = crypto.createHash('sha256').update(JSON.stringify(profile)).digest('hex').slice(0, 12);
+  return { id, ...profile };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+async function benchmarkChat(client, model, signal) {
+  // Load the model first so its load time doesn't count as time to first token
+  await client.generateCompletion(model.name, [{ role: 'user', content: 'Hi' }], { ...OPTIONS, max_tokens: 1, signal });
+
+  const runs = [];
+  for (const prompt of PROMPTS) {
+    const startedAt = performance.now();
+    let firstTokenAt = null;
+    const response = await client.streamCompletion(
+      model.name,
+      [{ role: 'user', content: prompt }],
+      { ...OPTIONS, signal },
+      () => { firstTokenAt ??= performance.now(); }
+    );
+    const endedAt = performance.now();
+    firstTokenAt ??= endedAt;
+
+    // Generation speed after the first token, which prompt processing delays
+    const tokens = response.usage.completion_tokens;
+    const seconds = tokens > 1 ? (endedAt - firstTokenAt) / 1000 : (endedAt - startedAt) / 1000;
+    runs.push({
+      ttftMs: firstTokenAt - startedAt,
+      tokensPerSecond: (tokens > 1 ? tokens - 1 : tokens) / Math.max(seconds, 0.001),
+      accounting: response.usage.accounting
+    });
+  }
+
+  return {
+    ttftMs: Math.round(median(runs.map(run => run.ttftMs))),
+    tokensPerSecond: Math.round(median(runs.map(run => run.tokensPerSecond)) * 10) / 10,
+    accounting: runs.every(run => run.accounting === 'measured') ? 'measured' : 'estimated'
+  };
+}
+
+async function benchmarkEmbeddings(client, model, signal) {
+  await client.generateEmbeddings(model.name, 'warm up', { signal });
+
+  const startedAt = performance.now();
+  const response = await client.generateEmbeddings(model.name, PROMPTS, { signal });
+  const seconds = (performance.now() - startedAt) / 1000;
+
+  return {
+    ttftMs: null,
+    tokensPerSecond: Math.round(response.usage.prompt_tokens / Math.max(seconds, 0.001) * 10) / 10,
+    accounting: response.usage.accounting
+  };
+}
+
+// Runs the standard prompts through a model and resolves with
+// { ttftMs, tokensPerSecond, memoryBytes, vramBytes, accounting, hardware,
+// measuredAt }. ttftMs is null for embedding models, which are measured on
+// input tokens per second instead.
+async function runBenchmark(client, model, { signal } = {}) {
+  const speed = model.kind === 'embedding'
+    ? await benchmarkEmbeddings(client, model, signal)
+    : await benchmarkChat(client, model, signal);
+  const memory = await client.memoryUsage(model.name);
+
+  return {
+    ...speed,
+    memoryBytes: memory?.bytes ?? null,
+    vramBytes: memory?.vramBytes ?? null,
+    hardware: hardwareProfile().id,
+    measuredAt: new Date().toISOString()
+  };
+}
+
+// Benchmark results on disk, keyed by hardware and model. A result only
+// counts while the model's fingerprint matches the one it was measured on.
+class BenchmarkStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.hardware = hardwareProfile();
+    this.entries = this.load();
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).entries || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn(`Could not read benchmark results from ${this.filePath}`, { error: error.message });
+      }
+      return {};
+    }
+  }
+
+  key(model) {
+    return `${this.hardware.id}:${modelKey(model)}`;
+  }
+
+  get(model) {
+    const entry = this.entries[this.key(model)];
+    return entry && entry.fingerprint === modelFingerprint(model) ? entry.result : null;
+  }
+
+  set(model, result) {
+    this.entries[this.key(model)] = { fingerprint: modelFingerprint(model), result };
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ entries: this.entries }, null, 2));
+    } catch (error) {
+      log.error(`Could not save benchmark results to ${this.filePath}`, { error: error.message });
+    }
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+}
+
+function printResults(rows) {
+  const table = rows.map(({ model, result, source }) => [
+    model.name,
+    result?.ttftMs ?? '-',
+    result?.tokensPerSecond ?? '-',
+    formatBytes(result?.memoryBytes),
+    source
+  ].map(String));
+  const header = ['Model', 'TTFT ms', 'Tok/s', 'Memory', ''];
+
+  console.log(chalk.cyan('\n⏱️  Benchmarks'));
+  printTable(header, table);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      model: { type: 'string', short: 'm', multiple: true },
+      force: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  const detector = new ModelDetector();
+  const detected = await detector.detectAll({ quiet: values.json });
+  // Named models, or whatever the sharing policy would share
+  const models = values.model
+    ? detected.filter(model => matchesAny(model.name, values.model))
+    : new SharingPolicy(config.sharing).filter(detected);
+
+  if (models.length === 0) {
+    throw new Error('No models to benchmark');
+  }
+
+  const store = new BenchmarkStore(config.benchmark_path);
+  const rows = [];
+  for (const model of models) {
+    const cached = values.force ? null : store.get(model);
+    if (cached) {
+      rows.push({ model, result: cached, source: 'cached' });
+      continue;
+    }
+
+    if (!values.json) {
+      console.log(chalk.gray(`   Benchmarking ${model.name}...`));
+    }
+    try {
+      const result = await runBenchmark(detector.registry.get(model.type), model);
+      store.set(model, result);
+      rows.push({ model, result, source: 'measured' });
+    } catch (error) {
+      console.error(chalk.red(`❌ ${model.name}: ${error.message}`));
+      rows.push({ model, result: null, source: 'failed' });
+    }
+  }
+
+  if (values.json) {
+    const results = Object.fromEntries(rows.map(({ model, result }) => [model.name, result]));
+    process.stdout.write(JSON.stringify({ hardware: store.hardware, results }, null, 2) + '\n');
+    return;
+  }
+  printResults(rows);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Benchmark failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runBenchmark, BenchmarkStore, hardwareProfile, main };
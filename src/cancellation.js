@@ -0,0 +1,50 @@
+// src/cancellation.js
+
+const MESSAGES = {
+  request_cancelled: 'Request cancelled',
+  request_timeout: 'Request timed out'
+};
+
+function cancellationError(code) {
+  const error = new Error(MESSAGES[code] || 'Request cancelled');
+  error.code = code;
+  error.cancelled = true;
+  return error;
+}
+
+// Ties an AbortController to a per-request timeout so a cancel message and a
+// timeout abort the backend call the same way, whatever the provider.
+class RequestCancellation {
+  constructor(timeoutMs) {
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.timer = timeoutMs > 0
+      ? setTimeout(() => this.cancel('request_timeout'), timeoutMs)
+      : null;
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  // The error callers should report, with code request_cancelled or
+  // request_timeout
+  get error() {
+    return this.signal.reason;
+  }
+
+  cancel(code = 'request_cancelled') {
+    if (this.signal.aborted) return;
+    this.controller.abort(cancellationError(code));
+    this.dispose();
+  }
+
+  dispose() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = { RequestCancellation, cancellationError };
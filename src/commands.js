@@ -0,0 +1,186 @@
+// src/commands.js
+const chalk = require('chalk');
+const config = require('./config');
+const ModelDetector = require('./modelDetector');
+const SharingPolicy = require('./sharingPolicy');
+const account = require('./account');
+const { printTable, formatDuration } = require('./format');
+const { createLogger } = require('./logger');
+
+const log = createLogger('main');
+
+// The CLI subcommands other than doctor (see index.js for the dispatcher).
+// Each takes the parsed flags; global flags have already been applied to
+// the environment, so config reflects them.
+
+function requireApiKey() {
+  if (config.credentials_warning) {
+    log.warn(`⚠️  ${config.credentials_warning}`);
+  }
+  if (!config.api_key) {
+    throw new Error('No API key - run `llmule login` or `llmule register`, or set API_KEY in .env');
+  }
+}
+
+async function start() {
+  // Loading networkClient creates the shared client and its shutdown
+  // handlers, which only the start command wants
+  const { networkClient } = require('./networkClient');
+
+  log.info('Starting P2P LLM Client...');
+  // Use the shared instance so the shutdown handlers clean up this client
+  await networkClient.start().catch(error => log.error('Client stopped', { error: error.message }));
+}
+
+async function models(values) {
+  const detector = new ModelDetector();
+  const detected = await detector.detectAll({ quiet: true });
+  const shared = new SharingPolicy(config.sharing).filter(detected);
+
+  if (values.json) {
+    const listing = detected.map(model => ({
+      name: model.name,
+      provider: model.type,
+      kind: model.kind,
+      tier: model.tier,
+      tierSource: model.tierSource,
+      ...model.metadata,
+      shared: shared.includes(model)
+    }));
+    process.stdout.write(JSON.stringify(listing, null, 2) + '\n');
+    return;
+  }
+
+  if (detected.length === 0) {
+    console.log(chalk.yellow('No models found. Run `llmule doctor` to see which backends are reachable.'));
+    return;
+  }
+
+  console.log(chalk.cyan(`\n📦 ${detected.length} ${detected.length === 1 ? 'model' : 'models'}`));
+  printTable(
+    ['Model', 'Provider', 'Kind', 'Tier', 'Params', 'Quant', 'Context', 'Shared'],
+    detected.map(model => [
+      model.name,
+      model.type,
+      model.kind,
+      model.tier,
+      model.metadata.parameters ? `${model.metadata.parameters}B` : null,
+      model.metadata.quantization,
+      model.metadata.contextLength,
+      shared.includes(model) ? 'yes' : 'no'
+    ]),
+    { alignLeft: [0, 1, 2, 3, 5] }
+  );
+  if (shared.length < detected.length) {
+    console.log(chalk.gray(`\n   Shared is what the sharing policy in ${config.config_file} allows`));
+  }
+}
+
+async function balance(values) {
+  requireApiKey();
+
+  let data;
+  try {
+    data = await account.getBalance();
+  } catch (error) {
+    throw new Error(error.status === 401 ? 'The API key was rejected' : error.message);
+  }
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    return;
+  }
+
+  console.log(chalk.cyan(`\n💰 ${data.mule_balance.toFixed(6)} MULE`));
+  if (data.available_tokens) {
+    console.log(chalk.gray('\n   Tokens available per tier'));
+    printTable(['Tier', 'Tokens'], Object.entries(data.available_tokens)
+      .map(([tier, tokens]) => [tier, tokens.toLocaleString()]));
+  }
+  if (data.last_updated) {
+    console.log(chalk.gray(`\n   Last updated ${new Date(data.last_updated).toLocaleString()}`));
+  }
+}
+
+async function register(values) {
+  if (config.api_key && !values.force) {
+    throw new Error('An API key is already configured - pass --force to register another email');
+  }
+  await account.register(values.email);
+}
+
+async function login(values) {
+  await account.login(values.key);
+}
+
+async function rotateKey() {
+  await account.rotateKey();
+}
+
+async function logout() {
+  const removed = account.logout();
+  console.log(removed
+    ? `✅ Removed the API key saved in ${config.credentials_path}`
+    : `No API key saved in ${config.credentials_path}`);
+  if (process.env.API_KEY) {
+    console.log('⚠️  API_KEY is still set in the environment or .env - remove it there too');
+  }
+}
+
+// The status endpoint of a node started with METRICS_PORT
+function statusUrl(values) {
+  if (values.url) return values.url;
+  if (!config.metrics_port) {
+    throw new Error('No status endpoint configured - start the node with METRICS_PORT (or --metrics-port) and pass the same port here, or use --url');
+  }
+  return `http://${config.metrics_host}:${config.metrics_port}/status`;
+}
+
+async function status(values) {
+  const url = statusUrl(values);
+
+  let data;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    data = await response.json();
+  } catch (error) {
+    if (error.cause?.code === 'ECONNREFUSED') {
+      throw new Error(`No node is running at ${url}`);
+    }
+    throw new Error(`Could not read ${url}: ${error.message}`);
+  }
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    return;
+  }
+
+  const { connection, availability, scheduler, totals } = data;
+  const state = connection.connected ? chalk.green(connection.state) : chalk.yellow(connection.state);
+  console.log(chalk.cyan('\n🛰️  Node status'));
+  console.log(`   Connection    ${state}${connection.reconnects ? chalk.gray(` (${connection.reconnects} reconnects)`) : ''}`);
+  console.log(`   Sharing       ${availability.available ? chalk.green('on') : chalk.yellow(`paused (${availability.reason})`)}`);
+  console.log(`   Uptime        ${formatDuration(data.uptimeSeconds * 1000)}`);
+  console.log(`   Requests      ${totals.requestsHandled.toLocaleString()} handled, ${scheduler.inFlight} running, ${scheduler.queueDepth} queued`);
+  console.log(`   Tokens        ${totals.tokensProcessed.toLocaleString()}`);
+  console.log(`   Balance       ${data.balance.mule.toFixed(6)} MULE`);
+  if (connection.outbox) {
+    console.log(`   Outbox        ${connection.outbox} messages waiting for the connection`);
+  }
+
+  if (data.models.length > 0) {
+    console.log(chalk.cyan('\n📦 Shared models'));
+    printTable(['Model', 'Provider', 'Tier', 'Running', 'Queued'],
+      data.models.map(model => [model.name, model.provider, model.tier, model.inFlight, model.queued]), { alignLeft: [0, 1, 2] });
+  }
+
+  Object.entries(data.backends || {}).forEach(([provider, hosts]) => {
+    console.log(chalk.cyan(`\n🖥️  ${provider} hosts`));
+    printTable(['Host', 'Healthy', 'Latency', 'Running', 'Models'],
+      hosts.map(host => [host.url, host.healthy ? 'yes' : 'no', host.latencyMs === null ? null : `${host.latencyMs}ms`, host.inFlight, host.models]),
+      { alignLeft: [0, 1] });
+  });
+}
+
+module.exports = { start, models, balance, register, login, rotateKey, logout, status };
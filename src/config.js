@@ -1,30 +1,200 @@
 // src/config.js
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readCredentials } = require('./credentials');
+
 // Load environment variables
 require('dotenv').config();
 
+// Optional JSON config file for headless setups (see llmule.config.example.json).
+// Environment variables take precedence over values from the file.
+function loadConfigFile(path) {
+  if (!fs.existsSync(path)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${path}: ${error.message}`);
+  }
+}
+
+function parseEndpointList(value) {
+  if (!value) return [];
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Invalid OPENAI_COMPATIBLE_URLS entry "${entry}" - expected name=url`);
+    }
+    return {
+      name: entry.slice(0, separator).trim(),
+      url: entry.slice(separator + 1).trim()
+    };
+  });
+}
+
+// A provider's backend URLs: comma-separated in the environment variable,
+// or "urls" (or a single "url") in the config file. Without a fallback, a
+// provider that isn't configured gets none and isn't probed.
+function backendUrls(envValue, provider = {}, fallback) {
+  if (envValue) {
+    return envValue.split(',').map(url => url.trim()).filter(Boolean);
+  }
+  if (Array.isArray(provider.urls) && provider.urls.length > 0) {
+    return provider.urls;
+  }
+  const url = provider.url || fallback;
+  return url ? [url] : [];
+}
+
+const configFile = process.env.LLMULE_CONFIG || 'llmule.config.json';
+const fileConfig = loadConfigFile(configFile);
+const providers = fileConfig.providers || {};
+const availability = fileConfig.availability || {};
+
+// Why the saved credentials were ignored, if they were. Config loads before
+// the logger, so the commands that need a key report it.
+let credentialsWarning = null;
+
+// Saved by `llmule register` or `llmule login`; API_KEY takes precedence.
+// A broken file is skipped rather than fatal, so login and logout can
+// still replace or remove it.
+function loadCredentials(filePath) {
+  try {
+    return readCredentials(filePath);
+  } catch (error) {
+    credentialsWarning = `${error.message} - ignoring it. Run \`llmule login\` to replace it or \`llmule logout\` to remove it`;
+    return null;
+  }
+}
+
+const apiUrl = process.env.API_URL || 'http://localhost:3000';
+const credentialsPath = process.env.CREDENTIALS_PATH || path.join(os.homedir(), '.llmule', 'credentials.json');
+let credentials = loadCredentials(credentialsPath);
+
+// A key is only sent to the API it was saved for
+if (credentials?.apiUrl && credentials.apiUrl.replace(/\/+$/, '') !== apiUrl.replace(/\/+$/, '')) {
+  if (!process.env.API_KEY) {
+    credentialsWarning = `The API key in ${credentialsPath} was saved for ${credentials.apiUrl}, not ${apiUrl} - ignoring it. Run \`llmule login\` to save a key for this API`;
+  }
+  credentials = null;
+}
+
 const config = {
+  config_file: configFile,
   server_url: process.env.SERVER_URL || 'ws://localhost:3000/llm-network',
-  api_url: process.env.API_URL || 'http://localhost:3000',
-  api_key: process.env.API_KEY,
-  ollama_url: process.env.OLLAMA_URL || 'http://localhost:11434',
-  lmstudio_url: process.env.LMSTUDIO_URL || 'http://localhost:1234/v1',
-  exo_url: process.env.EXO_URL || 'http://localhost:52415',
-  
-  // Service ports for detection
-  service_ports: {
-    ollama: 11434,
-    lmstudio: 1234,
-    exo: 52415
-  }
-};
+  api_url: apiUrl,
+  api_key: process.env.API_KEY || credentials?.apiKey,
+  // Where api_key came from: 'env', 'credentials' or null when there is none
+  api_key_source: process.env.API_KEY ? 'env' : credentials ? 'credentials' : null,
+  credentials_path: credentialsPath,
+  credentials_warning: credentialsWarning,
 
-// Debug config on load
-console.log('Configuration loaded:', {
-  server_url: config.server_url,
-  api_url: config.api_url,
-  api_key_present: !!config.api_key,
-  // Don't log the actual API key
-});
+  // Several URLs for one provider are served as a pool (see backendPool.js)
+  ollama_urls: backendUrls(process.env.OLLAMA_URL, providers.ollama, 'http://localhost:11434'),
+  lmstudio_urls: backendUrls(process.env.LMSTUDIO_URL, providers.lmstudio, 'http://localhost:1234/v1'),
+  exo_urls: backendUrls(process.env.EXO_URL, providers.exo, 'http://localhost:52415'),
+  // llama.cpp and vLLM default to common dev-server ports, so they are
+  // only probed when configured (e.g. LLAMACPP_URL=http://localhost:8080)
+  llamacpp_urls: backendUrls(process.env.LLAMACPP_URL, providers.llamacpp),
+  llamacpp_api_key: process.env.LLAMACPP_API_KEY || providers.llamacpp?.apiKey,
+  vllm_urls: backendUrls(process.env.VLLM_URL, providers.vllm),
+  vllm_api_key: process.env.VLLM_API_KEY || providers.vllm?.apiKey,
+  // How often pooled hosts are health-checked
+  backend_probe_interval_ms: parseInt(process.env.BACKEND_PROBE_INTERVAL_MS || '10000'),
+
+  // Any other OpenAI-compatible servers, as "name=url" pairs separated by
+  // commas, e.g. OPENAI_COMPATIBLE_URLS=tabby=http://localhost:5000/v1
+  openai_compatible: process.env.OPENAI_COMPATIBLE_URLS
+    ? parseEndpointList(process.env.OPENAI_COMPATIBLE_URLS)
+    : providers.openaiCompatible || [],
+
+  // Headless mode shares models according to the sharing policy instead of
+  // prompting. It is on by default when there is no terminal to prompt on.
+  headless: process.env.HEADLESS
+    ? process.env.HEADLESS === 'true'
+    : fileConfig.headless ?? !process.stdin.isTTY,
+  sharing: fileConfig.sharing || {},
+
+  // JSON map of model name patterns to tiers for models that can't be
+  // classified automatically, e.g. { "my-finetune*": "large" }
+  model_tiers_file: process.env.MODEL_TIERS_FILE || 'model-tiers.json',
+
+  // How often to look for models that were pulled or unloaded (0 disables)
+  model_refresh_interval_ms: parseInt(process.env.MODEL_REFRESH_INTERVAL_MS || '60000'),
+
+  // Reconnection. MAX_RETRIES=0 keeps retrying forever.
+  max_retries: parseInt(process.env.MAX_RETRIES || '0'),
+  reconnect_base_delay_ms: parseInt(process.env.RECONNECT_BASE_DELAY_MS || '1000'),
+  reconnect_max_delay_ms: parseInt(process.env.RECONNECT_MAX_DELAY_MS || '60000'),
+  // Responses produced while disconnected, held until the session is back
+  outbox_limit: parseInt(process.env.OUTBOX_LIMIT || '1000'),
+
+  // Requests still running after this long are aborted (0 disables)
+  request_timeout_ms: parseInt(process.env.REQUEST_TIMEOUT_MS || '300000'),
+
+  // Request scheduling
+  max_concurrent_requests: parseInt(process.env.MAX_CONCURRENT_REQUESTS || '4'),
+  max_concurrent_per_model: parseInt(process.env.MAX_CONCURRENT_PER_MODEL || '1'),
+  max_concurrent_models: parseInt(process.env.MAX_CONCURRENT_MODELS || '2'),
+  max_queue_size: parseInt(process.env.MAX_QUEUE_SIZE || '16'),
+  max_queue_wait_ms: parseInt(process.env.MAX_QUEUE_WAIT_MS || '60000'),
+
+  // Local OpenAI-compatible gateway (disabled unless a port is set)
+  gateway_port: parseInt(process.env.GATEWAY_PORT || '0'),
+  gateway_host: process.env.GATEWAY_HOST || '127.0.0.1',
+  gateway_api_key: process.env.GATEWAY_API_KEY,
+  // Web origins allowed to call the gateway from a browser, comma-separated
+  gateway_cors_origins: (process.env.GATEWAY_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+
+  // Prometheus metrics and JSON status (disabled unless a port is set)
+  metrics_port: parseInt(process.env.METRICS_PORT || '0'),
+  metrics_host: process.env.METRICS_HOST || '127.0.0.1',
+
+  // Logging: error, warn, info or debug; pretty on a terminal and JSON
+  // lines otherwise unless LOG_FORMAT says so. Prompt text is left out of
+  // logs unless LOG_PROMPTS=true.
+  log_level: (process.env.LOG_LEVEL || fileConfig.logLevel || 'info').toLowerCase(),
+  log_format: process.env.LOG_FORMAT || fileConfig.logFormat || 'auto',
+  log_prompts: process.env.LOG_PROMPTS === 'true',
+  // Full-screen terminal dashboard instead of scrolling logs (see dashboard.js)
+  dashboard: process.env.DASHBOARD === 'true',
+
+  // When to stop taking network requests (see availabilityManager.js). All
+  // conditions are off unless set; the schedule comes from the config file.
+  availability: {
+    intervalMs: parseInt(process.env.AVAILABILITY_CHECK_INTERVAL_MS || availability.intervalMs || '15000'),
+    maxCpuLoad: parseFloat(process.env.MAX_CPU_LOAD || availability.maxCpuLoad || '0'),
+    minFreeMemoryMb: parseInt(process.env.MIN_FREE_MEMORY_MB || availability.minFreeMemoryMb || '0'),
+    busyCommand: process.env.BUSY_COMMAND || availability.busyCommand,
+    schedule: availability.schedule,
+    resumeAfterChecks: availability.resumeAfterChecks
+  },
+
+  // Operator controls for network requests (see policyEngine.js) and the
+  // file every policy decision is recorded in
+  policy: fileConfig.policy || {},
+  policy_audit_path: process.env.POLICY_AUDIT_PATH || path.join(os.homedir(), '.llmule', 'policy-audit.jsonl'),
+
+  // Limits on image input for vision models
+  max_images_per_request: parseInt(process.env.MAX_IMAGES_PER_REQUEST || '4'),
+  max_image_bytes: parseFloat(process.env.MAX_IMAGE_SIZE_MB || '10') * 1024 * 1024,
+
+  // Embedding requests: inputs accepted per request, and how many are sent
+  // to the backend at once
+  max_embedding_inputs: parseInt(process.env.MAX_EMBEDDING_INPUTS || '256'),
+  embedding_batch_size: parseInt(process.env.EMBEDDING_BATCH_SIZE || '32'),
+
+  // Per-model speed measurements (see benchmark.js). Models without a
+  // current result are measured in the background only with AUTO_BENCHMARK=true,
+  // since a benchmark loads the model and keeps the machine busy.
+  benchmark_path: process.env.BENCHMARK_PATH || path.join(os.homedir(), '.llmule', 'benchmarks.json'),
+  auto_benchmark: process.env.AUTO_BENCHMARK === 'true',
+
+  // Append-only record of served requests, read by `npm run report`
+  ledger_path: process.env.LEDGER_PATH || path.join(os.homedir(), '.llmule', 'ledger.jsonl'),
+};
 
 module.exports = config;
\ No newline at end of file
@@ -0,0 +1,57 @@
+// src/credentials.js
+const fs = require('fs');
+const path = require('path');
+
+// The API key saved by `llmule register` or `llmule login`, with the account
+// it belongs to: { apiKey, email, userId, apiUrl, savedAt }. Only the user
+// can read the file, like an SSH key.
+const FILE_MODE = 0o600;
+const DIR_MODE = 0o700;
+
+// Returns the saved credentials, or null when there are none
+function readCredentials(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read credentials from ${filePath}: ${error.message}`);
+  }
+  return data && typeof data.apiKey === 'string' ? data : null;
+}
+
+function writeCredentials(filePath, credentials) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: DIR_MODE });
+
+  // Written under a temporary name and renamed, so the key is never readable
+  // by others and a crash can't leave half a file behind
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ ...credentials, savedAt: new Date().toISOString() }, null, 2) + '\n', {
+    mode: FILE_MODE
+  });
+  fs.renameSync(tempPath, filePath);
+}
+
+// Returns true when there was something to remove
+function deleteCredentials(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+// True when users other than the owner can read or write the file. Always
+// false on Windows, where the mode bits don't mean this.
+function hasLoosePermissions(filePath) {
+  if (process.platform === 'win32') return false;
+  try {
+    return (fs.statSync(filePath).mode & 0o077) !== 0;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { readCredentials, writeCredentials, deleteCredentials, hasLoosePermissions };
@@ -0,0 +1,330 @@
+// src/dashboard.js
+const util = require('util');
+const readline = require('readline');
+const EventEmitter = require('events');
+const chalk = require('chalk');
+const { modelKey } = require('./modelWatcher');
+const { formatDuration } = require('./format');
+const { setLogSink } = require('./logger');
+
+// Full-screen terminal view of a running node, drawn with plain ANSI escape
+// codes: connection and heartbeat, the queue, every detected model with its
+// activity, recent requests, the balance and the log. Log output is shown
+// in its own pane instead of scrolling the screen.
+//
+// Keys: up/down (or k/j) pick a model, space toggles sharing it, p pauses
+// or resumes sharing, q quits. Emits 'quit' on q or Ctrl+C, since the
+// terminal is in raw mode and Ctrl+C no longer raises SIGINT.
+
+const ESC = '\x1b[';
+const RECENT_REQUESTS = 8;
+const LOG_HISTORY = 200;
+const REDRAW_DELAY_MS = 50;
+
+const CONNECTION_STATES = {
+  connected: chalk.green('● connected'),
+  connecting: chalk.yellow('◌ connecting'),
+  waiting: chalk.yellow('◌ reconnecting'),
+  disconnected: chalk.red('○ disconnected'),
+  stopped: chalk.gray('○ stopped')
+};
+
+// Terminal columns a string takes up: emoji are two wide, and the variation
+// selectors that often follow them take none
+function charWidth(char) {
+  if (char === '\uFE0F') return 0;
+  return /\p{Extended_Pictographic}/u.test(char) ? 2 : 1;
+}
+
+// Cuts a line to the terminal width, dropping its colors if it has to be cut
+function fit(line, width) {
+  const plain = util.stripVTControlCharacters(line);
+  let used = 0;
+  for (const char of plain) used += charWidth(char);
+  if (used <= width) return line;
+
+  let result = '';
+  used = 0;
+  for (const char of plain) {
+    if (used + charWidth(char) > width - 1) break;
+    result += char;
+    used += charWidth(char);
+  }
+  return result + '…';
+}
+
+function clock(time) {
+  return new Date(time).toTimeString().slice(0, 8);
+}
+
+class Dashboard extends EventEmitter {
+  constructor(networkClient, { input = process.stdin, output = process.stdout } = {}) {
+    super();
+    this.client = networkClient;
+    this.input = input;
+    this.output = output;
+    this.active = false;
+    this.selected = 0;
+    this.logLines = [];
+    this.recentRequests = [];
+    this.modelStats = new Map(); // model name -> { requests, tokens, failed }
+    this.notice = null; // { text, until } shown in the footer for a moment
+    this.redrawTimer = null;
+    this.tickTimer = null;
+
+    this.onKeypress = (text, key) => this.handleKey(text, key);
+    this.onRequest = (request) => this.recordRequest(request);
+    this.redraw = () => this.scheduleRender();
+    this.restore = () => this.stop();
+  }
+
+  // Takes over the terminal. Returns false, and leaves the terminal alone,
+  // when there isn't an interactive one.
+  start() {
+    if (this.active) return true;
+    if (!this.input.isTTY || !this.output.isTTY) return false;
+    this.active = true;
+
+    // Alternate screen, so the shell scrollback is untouched afterwards
+    this.output.write(`${ESC}?1049h${ESC}?25l`);
+    setLogSink((level, line) => this.addLogLine(level, line));
+
+    readline.emitKeypressEvents(this.input);
+    this.input.setRawMode(true);
+    this.input.resume();
+    this.input.on('keypress', this.onKeypress);
+
+    this.client.on('request', this.onRequest);
+    this.client.scheduler.on('change', this.redraw);
+    this.client.availability.on('change', this.redraw);
+    this.output.on('resize', this.redraw);
+    // Leave the terminal usable even if the process dies without cleanup
+    process.on('exit', this.restore);
+
+    this.tickTimer = setInterval(() => this.render(), 1000);
+    this.render();
+    return true;
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+
+    clearInterval(this.tickTimer);
+    clearTimeout(this.redrawTimer);
+    this.redrawTimer = null;
+    this.input.off('keypress', this.onKeypress);
+    this.client.off('request', this.onRequest);
+    this.client.scheduler.off('change', this.redraw);
+    this.client.availability.off('change', this.redraw);
+    this.output.off('resize', this.redraw);
+    process.off('exit', this.restore);
+
+    this.input.setRawMode(false);
+    this.input.pause();
+    setLogSink(null);
+    this.output.write(`${ESC}?25h${ESC}?1049l`);
+  }
+
+  addLogLine(level, line) {
+    line.split('\n').filter(Boolean).forEach(part => {
+      this.logLines.push(`${chalk.gray(clock(Date.now()))} ${part}`);
+    });
+    this.logLines.splice(0, this.logLines.length - LOG_HISTORY);
+    this.scheduleRender();
+  }
+
+  recordRequest({ model, outcome, durationMs, usage }) {
+    const tokens = usage?.total_tokens || 0;
+    const stats = this.modelStats.get(model) || { requests: 0, tokens: 0, failed: 0 };
+    stats.requests++;
+    stats.tokens += tokens;
+    if (outcome !== 'success') stats.failed++;
+    this.modelStats.set(model, stats);
+
+    this.recentRequests.unshift({ time: Date.now(), model, outcome, durationMs, tokens });
+    this.recentRequests.length = Math.min(this.recentRequests.length, RECENT_REQUESTS);
+    this.scheduleRender();
+  }
+
+  // Every detected model, shared or not, in a stable order
+  models() {
+    const detected = this.client.detectedModels();
+    const models = detected.length > 0 ? detected : this.client.models;
+    return [...models].sort((a, b) => modelKey(a).localeCompare(modelKey(b)));
+  }
+
+  isShared(model) {
+    return this.client.models.some(shared => modelKey(shared) === modelKey(model));
+  }
+
+  handleKey(text, key = {}) {
+    if ((key.ctrl && key.name === 'c') || key.name === 'q') {
+      this.emit('quit');
+      return;
+    }
+
+    const models = this.models();
+    switch (key.name) {
+      case 'up':
+      case 'k':
+        this.selected = Math.max(0, this.selected - 1);
+        break;
+      case 'down':
+      case 'j':
+        this.selected = Math.min(models.length - 1, this.selected + 1);
+        break;
+      case 'space':
+      case 'return': {
+        const model = models[this.selected];
+        if (!model) break;
+        const share = !this.isShared(model);
+        this.client.setModelShared(model, share);
+        this.showNotice(`${share ? 'Sharing' : 'Stopped sharing'} ${model.name}`);
+        break;
+      }
+      case 'p': {
+        const pause = !this.client.availability.manualPause;
+        this.client.availability.setPaused(pause).then(() => this.scheduleRender());
+        this.showNotice(pause ? 'Sharing paused - press p to resume' : 'Resuming sharing');
+        break;
+      }
+      default:
+        return;
+    }
+    this.scheduleRender();
+  }
+
+  showNotice(text) {
+    this.notice = { text, until: Date.now() + 3000 };
+  }
+
+  scheduleRender() {
+    if (!this.active || this.redrawTimer) return;
+    this.redrawTimer = setTimeout(() => {
+      this.redrawTimer = null;
+      this.render();
+    }, REDRAW_DELAY_MS);
+  }
+
+  render() {
+    if (!this.active) return;
+    const width = this.output.columns || 80;
+    const height = this.output.rows || 24;
+
+    const top = [
+      ...this.renderHeader(),
+      '',
+      ...this.renderModels(Math.max(3, Math.floor(height / 3))),
+      '',
+      ...this.renderRequests(),
+      '',
+      ...this.renderEarnings()
+    ];
+    const footer = this.renderFooter();
+    const logRows = height - top.length - footer.length - 2;
+    const log = logRows > 0
+      ? ['', chalk.cyan.bold('Log'), ...this.logLines.slice(-(logRows - 1))]
+      : [];
+
+    const lines = [...top, ...log];
+    while (lines.length < height - footer.length) lines.push('');
+    lines.push(...footer);
+
+    const frame = lines.slice(0, height).map(line => fit(line, width) + `${ESC}K`).join('\n');
+    this.output.write(`${ESC}H${frame}${ESC}J`);
+  }
+
+  renderHeader() {
+    const client = this.client;
+    const { available, reason, since } = client.availability.status;
+    const stats = client.scheduler.getStats();
+    const limits = client.scheduler.getLimits();
+
+    const state = CONNECTION_STATES[client.connectionState] || client.connectionState;
+    const heartbeat = formatDuration(Date.now() - client.lastPong);
+    const sharing = available
+      ? chalk.green('sharing')
+      : chalk.yellow(`paused (${reason === 'manual' ? 'by you' : reason}) for ${formatDuration(Date.now() - since)}`);
+
+    return [
+      `${chalk.bold('LLMule node')}  ${state}  ${sharing}`,
+      chalk.gray(`heartbeat ${heartbeat} ago · reconnects ${client.reconnectCount} · up ${formatDuration(Date.now() - client.startedAt)}`),
+      `running ${stats.inFlight}/${limits.maxConcurrent}  queued ${stats.queueDepth}/${limits.maxQueueSize}` +
+        (client.outbox.length ? chalk.yellow(`  outbox ${client.outbox.length}`) : '')
+    ];
+  }
+
+  // A window of rows around the selected model when they don't all fit
+  renderModels(maxRows) {
+    const models = this.models();
+    this.selected = Math.min(this.selected, Math.max(0, models.length - 1));
+    const stats = this.client.scheduler.getStats().models;
+
+    const rows = models.map((model, i) => {
+      const shared = this.isShared(model);
+      const activity = stats[model.name] || { inFlight: 0, queued: 0 };
+      const served = this.modelStats.get(model.name) || { requests: 0, tokens: 0, failed: 0 };
+      const name = model.name.split('/').pop();
+      const kind = model.kind === 'embedding' ? 'embedding' : model.tier;
+      const line = [
+        i === this.selected ? chalk.cyan('›') : ' ',
+        shared ? chalk.green('[x]') : chalk.gray('[ ]'),
+        name.padEnd(32),
+        `${model.type}/${kind}`.padEnd(20),
+        String(activity.inFlight).padStart(3),
+        String(activity.queued).padStart(5),
+        String(served.requests).padStart(6),
+        served.tokens.toLocaleString().padStart(10),
+        served.failed ? chalk.red(`${served.failed} failed`) : ''
+      ].join(' ');
+      return shared ? line : chalk.gray(line);
+    });
+
+    const first = Math.max(0, Math.min(this.selected - Math.floor(maxRows / 2), rows.length - maxRows));
+    const columns = chalk.gray([
+      '     ',
+      'model'.padEnd(32),
+      'provider/tier'.padEnd(20),
+      'run',
+      'queue',
+      'reqs'.padStart(6),
+      'tokens'.padStart(10)
+    ].join(' '));
+    return [chalk.cyan.bold('Models'), columns, ...(rows.length ? rows.slice(first, first + maxRows) : [chalk.gray('  No models detected')])];
+  }
+
+  renderRequests() {
+    const rows = this.recentRequests.map(({ time, model, outcome, durationMs, tokens }) => {
+      const mark = outcome === 'success' ? chalk.green('✓') : chalk.red('✗');
+      const result = outcome === 'success' ? `${tokens.toLocaleString()} tokens`.padEnd(16) : chalk.red(outcome.padEnd(16));
+      return `${chalk.gray(clock(time))} ${mark} ${model.split('/').pop().padEnd(32)} ${result} ${(durationMs / 1000).toFixed(1)}s`;
+    });
+    return [chalk.cyan.bold('Recent requests'), ...(rows.length ? rows : [chalk.gray('  None yet')])];
+  }
+
+  renderEarnings() {
+    const client = this.client;
+    const tiers = Object.entries(client.availableTokens || {})
+      .map(([tier, tokens]) => `${tier} ${tokens.toLocaleString()}`)
+      .join(chalk.gray(' · '));
+
+    return [
+      chalk.cyan.bold('Earnings') + `  ${client.muleBalance.toFixed(6)} MULE` + chalk.gray(
+        `  · this session ${client.totalRequestsHandled.toLocaleString()} requests, ${client.totalTokensProcessed.toLocaleString()} tokens`
+      ),
+      tiers ? `${chalk.gray('tokens available')} ${tiers}` : chalk.gray('tokens available: not fetched yet')
+    ];
+  }
+
+  renderFooter() {
+    const notice = this.notice && this.notice.until > Date.now() ? chalk.yellow(this.notice.text) : '';
+    const paused = this.client.availability.manualPause;
+    return [
+      notice,
+      chalk.gray(`↑/↓ select  space share/unshare  p ${paused ? 'resume' : 'pause'} sharing  q quit`)
+    ];
+  }
+}
+
+module.exports = Dashboard;
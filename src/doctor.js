@@ -0,0 +1,264 @@
+// src/doctor.js
+const fs = require('fs');
+const chalk = require('chalk');
+const WebSocket = require('ws');
+const config = require('./config');
+const { createDefaultRegistry } = require('./providerRegistry');
+const { hasLoosePermissions } = require('./credentials');
+
+// `llmule doctor`: checks the setup, every backend and the LLMule API and
+// WebSocket endpoints, and says what to do about anything that fails
+
+const CHECK_TIMEOUT_MS = 5000;
+
+const MARKS = {
+  ok: chalk.green('✓'),
+  warn: chalk.yellow('!'),
+  fail: chalk.red('✗'),
+  skip: chalk.gray('–')
+};
+
+function result(status, name, detail, hints = []) {
+  return { status, name, detail, hints };
+}
+
+// A connection failure in words, from fetch or ws errors
+function describeFailure(error, url) {
+  const { host, hostname } = new URL(url);
+  const code = error.cause?.code || error.code;
+
+  if (error.name === 'TimeoutError') {
+    return `${host} did not answer within ${CHECK_TIMEOUT_MS / 1000}s`;
+  }
+  switch (code) {
+    case 'ECONNREFUSED':
+      return `nothing is listening on ${host}`;
+    case 'ENOTFOUND':
+    case 'EAI_AGAIN':
+      return `${hostname} could not be resolved - check the URL and your DNS`;
+    case 'ECONNRESET':
+      return `${host} closed the connection`;
+    case 'EHOSTUNREACH':
+    case 'ENETUNREACH':
+      return `${host} is unreachable from this machine`;
+    case 'CERT_HAS_EXPIRED':
+    case 'DEPTH_ZERO_SELF_SIGNED_CERT':
+    case 'SELF_SIGNED_CERT_IN_CHAIN':
+    case 'UNABLE_TO_VERIFY_LEAF_SIGNATURE':
+      return `${host} has a TLS certificate this machine doesn't trust (${code})`;
+    default:
+      return error.cause?.message || error.message;
+  }
+}
+
+function checkSetup() {
+  const results = [];
+
+  const major = parseInt(process.versions.node);
+  results.push(major >= 20
+    ? result('ok', 'Node.js', process.version)
+    : result('fail', 'Node.js', `${process.version} is too old`, ['Install Node.js 20 or newer']));
+
+  results.push(fs.existsSync(config.config_file)
+    ? result('ok', 'Config file', config.config_file)
+    : result('skip', 'Config file', `no ${config.config_file} - using environment variables and defaults`));
+
+  if (config.credentials_warning) {
+    results.push(result('warn', 'Saved API key', config.credentials_warning));
+  }
+
+  if (!config.api_key) {
+    results.push(result('fail', 'API key', 'not set', [
+      'Run `llmule register` to get one by email, or `llmule login` if you have one',
+      'Or set API_KEY in .env or in the environment'
+    ]));
+  } else if (config.api_key_source === 'env') {
+    results.push(result('ok', 'API key', 'set by API_KEY'));
+  } else if (hasLoosePermissions(config.credentials_path)) {
+    results.push(result('warn', 'API key', `${config.credentials_path} can be read by other users`, [
+      `Run \`chmod 600 ${config.credentials_path}\``
+    ]));
+  } else {
+    results.push(result('ok', 'API key', `saved in ${config.credentials_path}`));
+  }
+
+  return results;
+}
+
+// One backend host: reachable, answering, and with models to share
+async function checkHost(provider, client) {
+  const url = client.healthUrl || client.baseUrl;
+  const name = provider.displayName;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: client.requestOptions?.headers,
+      signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    return result('skip', name, `${url} - ${describeFailure(error, url)}`, provider.installHints);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    return result('warn', name, `${url} rejected the API key`, [`Check the ${provider.name.toUpperCase()}_API_KEY setting`]);
+  }
+  if (!response.ok) {
+    return result('warn', name, `${url} answered HTTP ${response.status}`, [
+      'Check that the URL points at the server itself, not a page or proxy in front of it'
+    ]);
+  }
+
+  try {
+    const models = await client.listModels();
+    if (models.length === 0) {
+      return result('warn', name, `${url} - running, but has no models`, provider.emptyHints);
+    }
+    return result('ok', name, `${url} - ${models.length} ${models.length === 1 ? 'model' : 'models'}`);
+  } catch (error) {
+    return result('warn', name, `${url} - running, but listing models failed: ${error.message}`);
+  }
+}
+
+async function checkBackends(registry = createDefaultRegistry()) {
+  // A pool is checked host by host
+  const checks = registry.list().flatMap(provider =>
+    (provider.hosts ? provider.hosts.map(host => host.client) : [provider])
+      .map(client => checkHost(provider, client))
+  );
+  const results = await Promise.all(checks);
+
+  // Most people run one backend, so the others being down is only worth
+  // explaining when none is up
+  if (!results.some(check => check.status === 'ok')) {
+    results.forEach(check => {
+      if (check.status === 'skip') check.status = 'warn';
+    });
+    results.push(result('fail', 'Models', 'no backend has models to share', [
+      'Start one of the backends above, or set its URL (e.g. OLLAMA_URL) if it runs elsewhere'
+    ]));
+  } else {
+    results.forEach(check => {
+      if (check.status === 'skip') check.hints = [];
+    });
+  }
+  return results;
+}
+
+async function checkApi() {
+  const url = `${config.api_url}/auth/me`;
+
+  let response;
+  try {
+    response = await fetch(config.api_key ? url : config.api_url, {
+      headers: config.api_key ? { 'Authorization': `Bearer ${config.api_key}` } : {},
+      signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    return result('fail', 'API', `${config.api_url} - ${describeFailure(error, config.api_url)}`, [
+      'Check API_URL and your internet connection'
+    ]);
+  }
+
+  if (!config.api_key) {
+    return result('ok', 'API', `${config.api_url} - reachable`);
+  }
+  if (response.status === 401 || response.status === 403) {
+    return result('fail', 'API', `${config.api_url} rejected the API key`, [
+      config.api_key_source === 'env'
+        ? 'Check API_KEY for typos, or run `llmule register` to get a new one'
+        : 'Run `llmule login` with a valid key, or `llmule register` to get a new one'
+    ]);
+  }
+  if (!response.ok) {
+    return result('fail', 'API', `${url} answered HTTP ${response.status}`, [
+      'The server may be down - try again later, or check API_URL'
+    ]);
+  }
+
+  const user = await response.json().catch(() => ({}));
+  return result('ok', 'API', `${config.api_url} - signed in${user.email ? ` as ${user.email}` : ''}`);
+}
+
+// Opens the node connection without registering. The server closes
+// connections with a bad key (code 4001) right after they open, so an open
+// connection is watched for a moment before it counts.
+function checkWebSocket() {
+  const url = config.server_url;
+  if (!config.api_key) {
+    return Promise.resolve(result('skip', 'WebSocket', `${url} - needs an API key`));
+  }
+
+  return new Promise(resolve => {
+    let settled = false;
+    let ws;
+    const finish = (check) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      ws.terminate();
+      resolve(check);
+    };
+    const timer = setTimeout(() => finish(
+      result('fail', 'WebSocket', `${url} - no connection within ${CHECK_TIMEOUT_MS / 1000}s`, [
+        'A firewall or proxy may be blocking WebSocket connections'
+      ])
+    ), CHECK_TIMEOUT_MS);
+
+    try {
+      ws = new WebSocket(url, { headers: { 'Authorization': `Bearer ${config.api_key}` } });
+    } catch (error) {
+      clearTimeout(timer);
+      resolve(result('fail', 'WebSocket', `${url} - ${error.message}`, ['SERVER_URL must start with ws:// or wss://']));
+      return;
+    }
+
+    ws.on('open', () => {
+      setTimeout(() => finish(result('ok', 'WebSocket', `${url} - connected`)), 1000);
+    });
+    ws.on('unexpected-response', (req, res) => {
+      finish(result('fail', 'WebSocket', `${url} answered HTTP ${res.statusCode} instead of upgrading`, [
+        res.statusCode === 404 ? 'Check the path in SERVER_URL (usually /llm-network)' : 'Check SERVER_URL'
+      ]));
+    });
+    ws.on('close', (code, reason) => {
+      if (code === 4001) {
+        finish(result('fail', 'WebSocket', `${url} rejected the API key`, ['Check API_KEY']));
+      } else {
+        finish(result('fail', 'WebSocket', `${url} closed the connection (${reason.toString() || `code ${code}`})`));
+      }
+    });
+    ws.on('error', (error) => {
+      finish(result('fail', 'WebSocket', `${url} - ${describeFailure(error, url)}`, ['Check SERVER_URL and your internet connection']));
+    });
+  });
+}
+
+function printSection(title, results) {
+  console.log(chalk.cyan(`\n${title}`));
+  results.forEach(({ status, name, detail, hints }) => {
+    console.log(`   ${MARKS[status]} ${name.padEnd(14)} ${status === 'skip' ? chalk.gray(detail) : detail}`);
+    hints.forEach(hint => console.log(chalk.gray(`       → ${hint}`)));
+  });
+}
+
+async function run() {
+  console.log(chalk.cyan('🩺 Checking your LLMule setup...'));
+
+  const sections = [
+    ['Setup', checkSetup()],
+    ['Backends', await checkBackends()],
+    ['Network', [await checkApi(), await checkWebSocket()]]
+  ];
+  sections.forEach(([title, results]) => printSection(title, results));
+
+  const problems = sections.flatMap(([, results]) => results).filter(check => check.status === 'fail');
+  if (problems.length > 0) {
+    console.log(chalk.red(`\n❌ ${problems.length} ${problems.length === 1 ? 'problem' : 'problems'} found`));
+    process.exitCode = 1;
+  } else {
+    console.log(chalk.green('\n✅ Everything looks good'));
+  }
+}
+
+module.exports = { run, checkBackends, checkApi, checkWebSocket, describeFailure };
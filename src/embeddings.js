@@ -0,0 +1,67 @@
+// src/embeddings.js
+const config = require('./config');
+const { tokenizerFor } = require('./tokenizer');
+
+// Embedding input in its OpenAI forms: a string, an array of strings, an
+// array of token IDs or an array of token ID arrays. Returns the list of
+// inputs to embed. Throws with code invalid_request.
+function normalizeEmbeddingInput(input) {
+  const inputs = typeof input === 'string' || isTokenArray(input) ? [input] : input;
+
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw inputError('`input` must be a string or a non-empty array');
+  }
+  if (!inputs.every(item => (typeof item === 'string' && item.length > 0) || isTokenArray(item))) {
+    throw inputError('`input` items must be non-empty strings or arrays of token IDs');
+  }
+  if (inputs.length > config.max_embedding_inputs) {
+    throw inputError(`\`input\` has ${inputs.length} items; this node accepts at most ${config.max_embedding_inputs}`);
+  }
+  return inputs;
+}
+
+function isTokenArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(Number.isInteger);
+}
+
+function inputError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_request';
+  return error;
+}
+
+// Embeds inputs in batches of EMBEDDING_BATCH_SIZE so one large request
+// doesn't hold a backend busy for too long or hit its payload limits, and
+// stitches the results back into a single OpenAI-shaped list
+async function embedInBatches(client, model, inputs, { signal } = {}) {
+  const data = [];
+  const usage = { prompt_tokens: 0, total_tokens: 0, accounting: 'measured' };
+
+  for (let start = 0; start < inputs.length; start += config.embedding_batch_size) {
+    const batch = inputs.slice(start, start + config.embedding_batch_size);
+    const response = await client.generateEmbeddings(model, batch, { signal });
+
+    response.data.forEach(item => data.push({ ...item, index: start + item.index }));
+    usage.prompt_tokens += response.usage.prompt_tokens;
+    usage.total_tokens += response.usage.total_tokens;
+    if (response.usage.accounting !== 'measured') {
+      usage.accounting = 'estimated';
+      usage.tokenizer = tokenizerFor(model);
+    }
+  }
+
+  return { object: 'list', model, data, usage };
+}
+
+// The inputs as chat messages, so request policy can check them like prompts
+function embeddingMessages(inputs) {
+  return inputs
+    .filter(item => typeof item === 'string')
+    .map(content => ({ role: 'user', content }));
+}
+
+module.exports = {
+  normalizeEmbeddingInput,
+  embedInBatches,
+  embeddingMessages
+};
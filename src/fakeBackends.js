@@ -0,0 +1,267 @@
+// src/fakeBackends.js
+const express = require('express');
+
+// Stand-ins for Ollama, LM Studio and EXO that answer with canned text, for
+// working on the client without a GPU or a model download (see
+// __tests__/scenarios.test.js).
+// Behaviour can be changed while the server runs with setBehaviour():
+//
+//   latencyMs     delay before a generation starts
+//   tokenDelayMs  delay between streamed tokens
+//   fail          'error' answers 500, 'drop' closes the connection,
+//                 'malformed' sends broken JSON, 'hang' never answers
+//   reply         the text every completion answers with
+const DEFAULT_BEHAVIOUR = {
+  latencyMs: 0,
+  tokenDelayMs: 10,
+  fail: null,
+  reply: 'Hello from a fake backend! Nothing here ran on a GPU.'
+};
+
+const DEFAULT_MODELS = {
+  ollama: ['llama3.2:3b', 'nomic-embed-text:latest'],
+  lmstudio: ['qwen2.5-7b-instruct', 'text-embedding-nomic-embed-text-v1.5'],
+  exo: ['llama-3.2-1b']
+};
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+function promptTokens(messages = []) {
+  return messages.reduce((total, message) =>
+    total + countWords(typeof message.content === 'string' ? message.content : JSON.stringify(message.content)), 0);
+}
+
+class FakeBackend {
+  constructor(type, { models = DEFAULT_MODELS[type], behaviour = {} } = {}) {
+    if (!DEFAULT_MODELS[type]) {
+      throw new Error(`Unknown fake backend "${type}" - use ollama, lmstudio or exo`);
+    }
+    this.type = type;
+    this.models = models.map(model => typeof model === 'string'
+      ? { name: model, kind: /embed/i.test(model) ? 'embedding' : 'chat' }
+      : model);
+    this.behaviour = { ...DEFAULT_BEHAVIOUR, ...behaviour };
+    this.requests = 0; // generation requests received
+    this.server = null;
+    this.sockets = new Set();
+    this.app = this.createApp();
+  }
+
+  // The URL to give the client, e.g. as OLLAMA_URL
+  get url() {
+    const { port } = this.server.address();
+    return `http://127.0.0.1:${port}${this.type === 'lmstudio' ? '/v1' : ''}`;
+  }
+
+  setBehaviour(changes) {
+    Object.assign(this.behaviour, changes);
+  }
+
+  reset() {
+    this.behaviour = { ...DEFAULT_BEHAVIOUR };
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '50mb' }));
+
+    if (this.type === 'ollama') {
+      this.ollamaRoutes(app);
+    } else {
+      this.openAIRoutes(app);
+    }
+
+    app.use((req, res) => res.status(404).json({ error: `Unknown endpoint ${req.method} ${req.path}` }));
+    return app;
+  }
+
+  ollamaRoutes(app) {
+    app.get('/', (req, res) => res.send('Ollama is running'));
+
+    app.get('/api/tags', (req, res) => res.json({
+      models: this.models.map(model => ({
+        name: model.name,
+        digest: model.digest || `fake-${model.name}`,
+        details: {
+          family: model.kind === 'embedding' ? 'nomic-bert' : 'llama',
+          parameter_size: model.kind === 'embedding' ? '137M' : '3.2B',
+          quantization_level: 'Q4_K_M'
+        }
+      }))
+    }));
+
+    app.post('/api/show', (req, res) => {
+      const model = this.findModel(req.body.model);
+      if (!model) return res.status(404).json({ error: `model "${req.body.model}" not found` });
+      res.json({
+        capabilities: model.kind === 'embedding' ? ['embedding'] : ['completion', 'tools'],
+        model_info: {}
+      });
+    });
+
+    app.get('/api/ps', (req, res) => res.json({ models: [] }));
+
+    app.post('/api/chat', async (req, res) => {
+      if (await this.misbehave(res)) return;
+
+      const tokens = this.tokens();
+      const usage = { prompt_eval_count: promptTokens(req.body.messages), eval_count: tokens.length };
+      if (req.body.stream === false) {
+        return res.json({
+          model: req.body.model,
+          message: { role: 'assistant', content: tokens.join('') },
+          done: true,
+          done_reason: 'stop',
+          ...usage
+        });
+      }
+
+      res.type('application/x-ndjson');
+      for (const token of tokens) {
+        if (res.destroyed) return;
+        res.write(JSON.stringify({ model: req.body.model, message: { role: 'assistant', content: token }, done: false }) + '\n');
+        await wait(this.behaviour.tokenDelayMs);
+      }
+      res.end(JSON.stringify({ model: req.body.model, message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', ...usage }) + '\n');
+    });
+
+    app.post('/api/embed', async (req, res) => {
+      if (await this.misbehave(res)) return;
+      const inputs = [].concat(req.body.input);
+      res.json({
+        model: req.body.model,
+        embeddings: inputs.map(fakeEmbedding),
+        prompt_eval_count: inputs.reduce((total, input) => total + countWords(String(input)), 0)
+      });
+    });
+  }
+
+  openAIRoutes(app) {
+    app.get('/v1/models', (req, res) => res.json({
+      object: 'list',
+      data: this.models.map(model => ({ id: model.name, object: 'model', owned_by: this.type }))
+    }));
+
+    // LM Studio's own REST API, used for model details
+    app.get('/api/v0/models/:id', (req, res) => {
+      const model = this.findModel(req.params.id);
+      if (!model) return res.status(404).json({ error: 'Model not found' });
+      res.json({
+        id: model.name,
+        type: model.kind === 'embedding' ? 'embeddings' : 'llm',
+        arch: 'qwen2',
+        quantization: 'Q4_K_M',
+        max_context_length: 32768
+      });
+    });
+
+    app.post('/v1/chat/completions', async (req, res) => {
+      if (await this.misbehave(res)) return;
+
+      const tokens = this.tokens();
+      const usage = {
+        prompt_tokens: promptTokens(req.body.messages),
+        completion_tokens: tokens.length,
+        total_tokens: promptTokens(req.body.messages) + tokens.length
+      };
+      const id = `chatcmpl-fake-${Date.now()}`;
+
+      if (!req.body.stream) {
+        return res.json({
+          id,
+          object: 'chat.completion',
+          model: req.body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: tokens.join('') }, finish_reason: 'stop' }],
+          usage
+        });
+      }
+
+      res.type('text/event-stream');
+      const event = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+      for (const token of tokens) {
+        if (res.destroyed) return;
+        event({ id, object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: token }, finish_reason: null }] });
+        await wait(this.behaviour.tokenDelayMs);
+      }
+      event({ id, object: 'chat.completion.chunk', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+      event({ id, object: 'chat.completion.chunk', choices: [], usage });
+      res.end('data: [DONE]\n\n');
+    });
+
+    app.post('/v1/embeddings', async (req, res) => {
+      if (await this.misbehave(res)) return;
+      const inputs = [].concat(req.body.input);
+      const tokens = inputs.reduce((total, input) => total + countWords(String(input)), 0);
+      res.json({
+        object: 'list',
+        model: req.body.model,
+        data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: fakeEmbedding(input) })),
+        usage: { prompt_tokens: tokens, total_tokens: tokens }
+      });
+    });
+  }
+
+  findModel(name) {
+    return this.models.find(model => model.name === name);
+  }
+
+  tokens() {
+    return this.behaviour.reply.split(/(?<= )/);
+  }
+
+  // Applies the configured delay and failure. Returns true when the request
+  // has been dealt with and must not be answered normally.
+  async misbehave(res) {
+    this.requests++;
+    await wait(this.behaviour.latencyMs);
+
+    switch (this.behaviour.fail) {
+      case 'error':
+        res.status(500).json({ error: 'fake backend failure' });
+        return true;
+      case 'drop':
+        res.socket.destroy();
+        return true;
+      case 'malformed':
+        res.type('json').send('{"message": {"content": ');
+        return true;
+      case 'hang':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => resolve(this));
+      this.server.on('error', reject);
+      this.server.on('connection', socket => {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    // Hanging requests would otherwise keep the server open
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+// Deterministic stand-in vector, so equal inputs embed equally
+function fakeEmbedding(input) {
+  const text = String(input);
+  return Array.from({ length: 8 }, (_, i) =>
+    Math.round(Math.sin(text.length * (i + 1) + (text.charCodeAt(i % text.length) || 0)) * 1e4) / 1e4);
+}
+
+module.exports = { FakeBackend, DEFAULT_MODELS };
@@ -0,0 +1,26 @@
+// src/format.js
+const chalk = require('chalk');
+
+// Terminal output helpers shared by the CLI commands and the dashboard
+
+// Prints rows under a header, with every column as wide as its widest
+// cell. Columns listed in alignLeft are left-aligned, the rest right-aligned.
+function printTable(header, rows, { alignLeft = [0], headerColor = chalk.gray, rowColor = text => text } = {}) {
+  const cells = rows.map(row => row.map(cell => String(cell ?? '-')));
+  const widths = header.map((label, i) => Math.max(label.length, ...cells.map(row => row[i].length)));
+  const pad = (cell, i) => (alignLeft.includes(i) ? cell.padEnd(widths[i]) : cell.padStart(widths[i]));
+
+  console.log(headerColor('   ' + header.map(pad).join('  ')));
+  cells.forEach(row => console.log(rowColor('   ' + row.map(pad).join('  '))));
+}
+
+// 42s, 3m 12s, 5h 20m
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+module.exports = { printTable, formatDuration };
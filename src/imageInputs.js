@@ -0,0 +1,131 @@
+// src/imageInputs.js
+const config = require('./config');
+
+// Images arrive as OpenAI content parts:
+//   { type: 'image_url', image_url: { url: 'data:image/png;base64,...' } }
+// The url may also be bare base64. Only inline images are accepted - the
+// node never fetches URLs on a requester's behalf.
+
+const DATA_URL = /^data:(image\/[\w.+-]+);base64,(.*)$/s;
+const BASE64 = /^[A-Za-z0-9+/\s]+={0,2}$/;
+
+// First base64 characters of each format's magic bytes
+const SIGNATURES = [
+  { prefix: 'iVBOR', mediaType: 'image/png' },
+  { prefix: '/9j/', mediaType: 'image/jpeg' },
+  { prefix: 'R0lGOD', mediaType: 'image/gif' },
+  { prefix: 'UklGR', mediaType: 'image/webp' }
+];
+
+function imageError(message, code = 'invalid_image') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function imageParts(message) {
+  if (!Array.isArray(message?.content)) return [];
+  return message.content.filter(part => part?.type === 'image_url');
+}
+
+// Returns { mediaType, data } with data as bare base64
+function parseImage(part) {
+  const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+  if (typeof url !== 'string' || url.length === 0) {
+    throw imageError('image_url parts need a url');
+  }
+  if (/^https?:\/\//i.test(url)) {
+    throw imageError('Image URLs are not fetched - send images as base64 data URLs', 'unsupported_image_url');
+  }
+
+  const dataUrl = DATA_URL.exec(url);
+  const data = dataUrl ? dataUrl[2] : url;
+  if (!BASE64.test(data)) {
+    throw imageError('Images must be base64 data URLs or base64 strings');
+  }
+
+  const sniffed = SIGNATURES.find(({ prefix }) => data.startsWith(prefix));
+  return {
+    mediaType: dataUrl ? dataUrl[1] : sniffed?.mediaType || 'image/png',
+    data
+  };
+}
+
+function decodedSize(data) {
+  const length = data.replace(/\s/g, '').length;
+  return Math.floor(length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0);
+}
+
+// Checks a request's images against the model and the configured limits.
+// Models whose capabilities are unknown get the benefit of the doubt.
+// Throws with codes invalid_image, unsupported_image_url, too_many_images,
+// image_too_large or model_not_multimodal.
+function validateImages(messages, model) {
+  const images = messages.flatMap(imageParts);
+  if (images.length === 0) return;
+
+  const capabilities = model.metadata?.capabilities;
+  if (capabilities && !capabilities.includes('vision')) {
+    throw imageError(`${model.name} does not accept images`, 'model_not_multimodal');
+  }
+  if (images.length > config.max_images_per_request) {
+    throw imageError(
+      `Request has ${images.length} images; this node accepts at most ${config.max_images_per_request}`,
+      'too_many_images'
+    );
+  }
+
+  images.forEach(part => {
+    const { data } = parseImage(part);
+    if (decodedSize(data) > config.max_image_bytes) {
+      throw imageError(
+        `Images may be at most ${Math.round(config.max_image_bytes / 1024 / 1024)} MB`,
+        'image_too_large'
+      );
+    }
+  });
+}
+
+// Ollama takes a message's images as a list of bare base64 strings next to
+// plain-text content
+function toOllamaImages(messages) {
+  return messages.map(message => {
+    if (!Array.isArray(message.content)) return message;
+
+    const text = message.content
+      .filter(part => part?.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+    const images = imageParts(message).map(part => parseImage(part).data);
+
+    return { ...message, content: text, ...(images.length && { images }) };
+  });
+}
+
+// OpenAI-compatible servers only understand data URLs
+function toDataUrlImages(messages) {
+  return messages.map(message => {
+    if (imageParts(message).length === 0) return message;
+
+    return {
+      ...message,
+      content: message.content.map(part => {
+        if (part?.type !== 'image_url') return part;
+        const { mediaType, data } = parseImage(part);
+        return {
+          ...part,
+          image_url: {
+            ...(typeof part.image_url === 'object' && part.image_url),
+            url: `data:${mediaType};base64,${data}`
+          }
+        };
+      })
+    };
+  });
+}
+
+module.exports = {
+  validateImages,
+  toOllamaImages,
+  toDataUrlImages
+};
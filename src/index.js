@@ -1,9 +1,168 @@
-const { NetworkClient } = require('./networkClient');
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const chalk = require('chalk');
 
-async function main() {
-  console.log('Starting P2P LLM Client...');
-  const client = new NetworkClient();
-  await client.start().catch(console.error);
+// Flags shared by every command. Each sets the environment variable that
+// config.js reads, so a flag wins over .env and the config file.
+const GLOBAL_OPTIONS = {
+  'api-key': { type: 'string', env: 'API_KEY', description: 'API key (prefer API_KEY in .env; flags show up in ps)' },
+  'api-url': { type: 'string', env: 'API_URL', description: 'LLMule API URL' },
+  'server-url': { type: 'string', env: 'SERVER_URL', description: 'LLMule WebSocket URL' },
+  config: { type: 'string', short: 'c', env: 'LLMULE_CONFIG', description: 'Config file (default llmule.config.json)' },
+  'log-level': { type: 'string', env: 'LOG_LEVEL', description: 'error, warn, info or debug' },
+  help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+const BACKEND_OPTIONS = {
+  'ollama-url': { type: 'string', env: 'OLLAMA_URL', description: 'Ollama URL(s), comma-separated' },
+  'lmstudio-url': { type: 'string', env: 'LMSTUDIO_URL', description: 'LM Studio URL(s), comma-separated' },
+  'exo-url': { type: 'string', env: 'EXO_URL', description: 'EXO URL(s), comma-separated' },
+  'llamacpp-url': { type: 'string', env: 'LLAMACPP_URL', description: 'llama.cpp URL(s), comma-separated' },
+  'vllm-url': { type: 'string', env: 'VLLM_URL', description: 'vLLM URL(s), comma-separated' }
+};
+
+const METRICS_OPTIONS = {
+  'metrics-port': { type: 'string', env: 'METRICS_PORT', description: 'Port of the metrics and status endpoint' },
+  'metrics-host': { type: 'string', env: 'METRICS_HOST', description: 'Host of the metrics and status endpoint' }
+};
+
+const JSON_OPTION = { json: { type: 'boolean', description: 'Print JSON' } };
+
+// report and benchmark parse their own flags
+const COMMANDS = {
+  start: {
+    description: 'Share your models with the network (the default)',
+    options: {
+      ...BACKEND_OPTIONS,
+      ...METRICS_OPTIONS,
+      headless: { type: 'boolean', env: 'HEADLESS', description: 'Never prompt; share by the sharing policy' },
+      dashboard: { type: 'boolean', short: 'd', env: 'DASHBOARD', description: 'Full-screen dashboard instead of scrolling logs' },
+      'log-format': { type: 'string', env: 'LOG_FORMAT', description: 'pretty, json or auto' },
+      'gateway-port': { type: 'string', env: 'GATEWAY_PORT', description: 'Serve the local OpenAI-compatible gateway on this port' },
+      'max-concurrent': { type: 'string', env: 'MAX_CONCURRENT_REQUESTS', description: 'Requests served at once' },
+      'request-timeout-ms': { type: 'string', env: 'REQUEST_TIMEOUT_MS', description: 'Abort requests running longer than this' }
+    },
+    run: values => require('./commands').start(values)
+  },
+  models: {
+    description: 'List the models your backends have and whether they would be shared',
+    options: { ...BACKEND_OPTIONS, ...JSON_OPTION },
+    run: values => require('./commands').models(values)
+  },
+  balance: {
+    description: 'Show your MULE balance',
+    options: JSON_OPTION,
+    run: values => require('./commands').balance(values)
+  },
+  register: {
+    description: 'Sign up by email and save the API key',
+    options: {
+      email: { type: 'string', description: 'Email to register (prompted for if left out)' },
+      force: { type: 'boolean', description: 'Register even though an API key is set' }
+    },
+    run: values => require('./commands').register(values)
+  },
+  login: {
+    description: 'Save an API key you already have',
+    options: {
+      key: { type: 'string', description: 'The API key (prompted for if left out; flags show up in ps)' }
+    },
+    run: values => require('./commands').login(values)
+  },
+  'rotate-key': {
+    description: 'Replace your API key with a new one and save it',
+    options: {},
+    run: () => require('./commands').rotateKey()
+  },
+  logout: {
+    description: 'Remove the saved API key',
+    options: {},
+    run: () => require('./commands').logout()
+  },
+  status: {
+    description: 'Show what a running node is doing (needs METRICS_PORT on the node)',
+    options: {
+      ...METRICS_OPTIONS,
+      ...JSON_OPTION,
+      url: { type: 'string', description: 'Status endpoint URL, e.g. http://host:9464/status' }
+    },
+    run: values => require('./commands').status(values)
+  },
+  doctor: {
+    description: 'Check backends and the network connection and explain failures',
+    options: BACKEND_OPTIONS,
+    run: () => require('./doctor').run()
+  },
+  report: {
+    description: 'Summarize the earnings ledger (see `llmule report --by day`)',
+    passthrough: true,
+    run: args => require('./report').main(args)
+  },
+  benchmark: {
+    description: 'Measure how fast your models run',
+    passthrough: true,
+    run: args => require('./benchmark').main(args)
+  }
+};
+
+function usage(name) {
+  const lines = [];
+  if (!name) {
+    lines.push('Usage: llmule [command] [options]', '', 'Commands:');
+    Object.entries(COMMANDS).forEach(([command, { description }]) => {
+      lines.push(`  ${command.padEnd(12)}${description}`);
+    });
+    lines.push('', 'Run `llmule <command> --help` for the options of a command.');
+  } else {
+    const command = COMMANDS[name];
+    lines.push(`Usage: llmule ${name} [options]`, '', command.description);
+  }
+
+  const options = { ...(name ? COMMANDS[name].options : {}), ...GLOBAL_OPTIONS };
+  lines.push('', 'Options:');
+  Object.entries(options).forEach(([flag, option]) => {
+    const label = `${option.short ? `-${option.short}, ` : '    '}--${flag}${option.type === 'string' ? ' <value>' : ''}`;
+    const env = option.env ? ` [${option.env}]` : '';
+    lines.push(`  ${label.padEnd(30)}${option.description}${env}`);
+  });
+  return lines.join('\n');
+}
+
+async function main(argv = process.argv.slice(2)) {
+  // No command, or only flags, means start, so `npm start` works as before
+  const name = argv[0] && !argv[0].startsWith('-') ? argv[0] : 'start';
+  const args = name === argv[0] ? argv.slice(1) : argv;
+
+  if (name === 'help' || argv[0] === '--help' || argv[0] === '-h') {
+    console.log(usage(COMMANDS[args[0]] ? args[0] : undefined));
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Unknown command "${name}"\n\n${usage()}`);
+  }
+  if (command.passthrough) {
+    return command.run(args);
+  }
+
+  const options = { ...GLOBAL_OPTIONS, ...command.options };
+  const { values } = parseArgs({ args, options });
+
+  if (values.help) {
+    console.log(usage(name));
+    return;
+  }
+
+  Object.entries(values).forEach(([flag, value]) => {
+    const env = options[flag].env;
+    if (env) process.env[env] = String(value);
+  });
+
+  return command.run(values);
 }
 
-main();
\ No newline at end of file
+main().catch(error => {
+  console.error(chalk.red('❌'), error.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+// src/ledger.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ledger');
+
+// Append-only record of every request this node served, one JSON object per
+// line, so earnings and usage survive restarts
+class Ledger {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lastBalance = null; // balance after the previous entry this session
+  }
+
+  // Earnings are the balance change since the previous entry, so requests
+  // that overlap in time don't both claim the same credit
+  append({ requestId, source = 'network', model, provider, tier, outcome, usage, latencyMs, balanceBefore, balanceAfter }) {
+    const earned = outcome === 'success' && balanceAfter !== null
+      ? balanceAfter - (this.lastBalance ?? balanceBefore)
+      : 0;
+    if (balanceAfter !== null) this.lastBalance = balanceAfter;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      requestId,
+      source,
+      model,
+      provider,
+      tier: tier || null,
+      outcome,
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      totalTokens: usage?.total_tokens || 0,
+      accounting: usage?.accounting || null,
+      latencyMs,
+      balanceBefore,
+      balanceAfter,
+      earned: Math.round(earned * 1e6) / 1e6
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      log.error(`Could not write to ledger ${this.filePath}`, { error: error.message });
+    }
+    return entry;
+  }
+}
+
+// Yields the ledger's entries in order. A line cut short by a crash is
+// skipped rather than failing the whole read.
+async function* readLedger(filePath) {
+  if (!fs.existsSync(filePath)) return;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, 'utf8'),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // partial write
+    }
+  }
+}
+
+module.exports = { Ledger, readLedger };
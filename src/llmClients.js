@@ -1,158 +1,616 @@
 // src/llmClients.js
 const axios = require('axios');
-const config = require('./config');
+const ServiceChecker = require('./serviceChecker');
+const { readNDJSON, readSSE } = require('./streamParser');
+const { resolveUsage, resolveEmbeddingUsage } = require('./tokenizer');
+const { parseParameterCount } = require('./modelTiers');
+const { OLLAMA_PARAMS, OPENAI_PARAMS, mapSamplingParams } = require('./samplingParams');
+const {
+  openAIToolFields,
+  ollamaToolFields,
+  toOllamaMessages,
+  fromOllamaToolCalls,
+  mergeToolCallDeltas,
+  finalToolCalls
+} = require('./toolCalling');
+const { toOllamaImages, toDataUrlImages } = require('./imageInputs');
+const { createLogger } = require('./logger');
 
+const log = createLogger('llm');
+
+// Every backend is a provider: it knows how to tell whether its service is
+// up, which models it serves, and how to run completions against them.
+// Providers are collected in the ProviderRegistry (see providerRegistry.js).
 class LLMClient {
+  constructor({ name, displayName, installHints = [], emptyHints = [] }) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.installHints = installHints; // shown when the service isn't running
+    this.emptyHints = emptyHints;     // shown when it runs without any models
+  }
+
+  // Begins and ends background work such as health probes
+  start() {}
+
+  stop() {}
+
+  async checkHealth() {
+    throw new Error('Method not implemented');
+  }
+
+  // Resolves with [{ name, type, details?, digest? }], where type is the
+  // provider name and digest identifies the exact weights when known
+  async listModels() {
+    throw new Error('Method not implemented');
+  }
+
+  // Resolves with what the backend knows about a model from listModels():
+  // { family, parameters (in billions), quantization, contextLength,
+  // capabilities (e.g. ['tools']) }. Unknown fields are left out.
+  async describeModel(model) {
+    return {};
+  }
+
+  // options holds the normalized sampling parameters (see samplingParams.js)
+  // and signal, an AbortSignal that cancels the backend request; every
+  // implementation must pass it on to its HTTP call. Parameters the backend
+  // can't honour are listed in the result's unsupported_params.
   async generateCompletion(model, messages, options = {}) {
     throw new Error('Method not implemented');
   }
+
+  // Streams the completion, calling onChunk with each delta as it arrives
+  // ({ content } or { tool_calls } in OpenAI chunk format), and resolves with
+  // the same shape as generateCompletion.
+  async streamCompletion(model, messages, options = {}, onChunk) {
+    throw new Error('Method not implemented');
+  }
+
+  // Resolves with an OpenAI-shaped embeddings list for one or more inputs
+  async generateEmbeddings(model, input, options = {}) {
+    throw new Error('Embeddings are not supported by this backend');
+  }
+
+  // Resolves with { bytes, vramBytes } for a loaded model, or null when the
+  // backend doesn't say
+  async memoryUsage(model) {
+    return null;
+  }
 }
 
 class OllamaClient extends LLMClient {
-  async generateCompletion(model, messages, options = {}) {
+  constructor({ url }) {
+    super({
+      name: 'ollama',
+      displayName: 'Ollama',
+      installHints: [
+        'Install Ollama from https://ollama.ai',
+        'Run "ollama serve" to start the service'
+      ],
+      emptyHints: ['Run "ollama pull mistral" to download a model']
+    });
+    this.baseUrl = url;
+  }
+
+  async checkHealth() {
+    return ServiceChecker.isServiceRunning(this.baseUrl);
+  }
+
+  async listModels() {
+    const response = await axios.get(`${this.baseUrl}/api/tags`);
+    if (!response.data || !Array.isArray(response.data.models)) {
+      return [];
+    }
+
+    return response.data.models.map(model => ({
+      name: model.name,
+      type: this.name,
+      details: model.details,
+      digest: model.digest
+    }));
+  }
+
+  async describeModel(model) {
+    const metadata = {
+      family: model.details?.family,
+      parameters: parseParameterCount(model.details?.parameter_size),
+      quantization: model.details?.quantization_level
+    };
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/show`, { model: model.name });
+      const info = response.data.model_info || {};
+      const architecture = info['general.architecture'];
+
+      if (info['general.parameter_count']) {
+        metadata.parameters = info['general.parameter_count'] / 1e9;
+      }
+      if (architecture && info[`${architecture}.context_length`]) {
+        metadata.contextLength = info[`${architecture}.context_length`];
+      }
+      metadata.capabilities = ollamaCapabilities(response.data);
+    } catch (error) {
+      // /api/show is only a refinement - /api/tags details are enough to classify
+    }
+
+    return metadata;
+  }
+
+  async memoryUsage(model) {
     try {
-      console.log('Sending request to Ollama:', {
+      const response = await axios.get(`${this.baseUrl}/api/ps`);
+      const loaded = (response.data.models || []).find(entry => entry.name === model);
+      return loaded ? { bytes: loaded.size, vramBytes: loaded.size_vram } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // /api/chat body for both completion modes. Returns the parameters Ollama
+  // can't honour alongside it.
+  chatRequest(model, messages, options, stream) {
+    const { mapped, unsupported } = mapSamplingParams(options, OLLAMA_PARAMS);
+    const tools = ollamaToolFields(options);
+
+    return {
+      body: {
         model,
-        messageCount: messages.length,
-        options
+        messages: toOllamaImages(toOllamaMessages(messages)),
+        stream,
+        options: mapped,
+        ...tools.fields
+      },
+      unsupported: [...unsupported, ...tools.unsupported]
+    };
+  }
+
+  async generateCompletion(model, messages, options = {}) {
+    const { body, unsupported } = this.chatRequest(model, messages, options, false);
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+        signal: options.signal
       });
 
-      const response = await axios.post(`${config.ollama_url}/api/chat`, {
+      const message = response.data.message;
+      const toolCalls = finalToolCalls(fromOllamaToolCalls(message.tool_calls));
+      const usage = resolveUsage(
         model,
         messages,
-        stream: false,
-        options: {
-          temperature: options.temperature || 0.7,
-          num_predict: options.max_tokens || 4096,
-        }
+        message.content,
+        ollamaUsage(response.data)
+      );
+
+      return withUnsupported({
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: message.content,
+            ...(toolCalls.length && { tool_calls: toolCalls })
+          },
+          finish_reason: ollamaFinishReason(response.data, toolCalls)
+        }],
+        usage
+      }, unsupported);
+    } catch (error) {
+      if (axios.isCancel(error)) throw error;
+      log.debug('Ollama request failed', { model, error: error.message, response: error.response?.data });
+      throw backendError('Ollama', error);
+    }
+  }
+
+  async streamCompletion(model, messages, options = {}, onChunk) {
+    const { body, unsupported } = this.chatRequest(model, messages, options, true);
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, body, {
+        responseType: 'stream',
+        signal: options.signal
       });
 
-      // Ensure proper usage calculation for Ollama
-      const usage = {
-        prompt_tokens: this._estimateTokenCount(messages),
-        completion_tokens: this._estimateTokenCount([response.data.message]),
-        total_tokens: 0 // Will be calculated below
-      };
+      let content = '';
+      let finishReason = 'stop';
+      let reportedUsage = {};
+      const toolCalls = [];
 
-      usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+      for await (const part of readNDJSON(response.data)) {
+        if (part.error) {
+          throw new Error(part.error);
+        }
 
-      return {
+        const delta = part.message?.content;
+        if (delta) {
+          content += delta;
+          onChunk({ content: delta });
+        }
+        // Ollama sends each tool call whole rather than in pieces
+        if (part.message?.tool_calls?.length) {
+          const calls = fromOllamaToolCalls(part.message.tool_calls, toolCalls.length);
+          mergeToolCallDeltas(toolCalls, calls);
+          onChunk({ tool_calls: calls });
+        }
+        if (part.done) {
+          finishReason = ollamaFinishReason(part, toolCalls);
+          reportedUsage = ollamaUsage(part);
+        }
+      }
+
+      const usage = resolveUsage(model, messages, content, reportedUsage);
+
+      return withUnsupported({
         choices: [{
           message: {
             role: 'assistant',
-            content: response.data.message.content
+            content,
+            ...(toolCalls.length && { tool_calls: finalToolCalls(toolCalls) })
           },
-          finish_reason: 'stop'
+          finish_reason: finishReason
         }],
         usage
+      }, unsupported);
+    } catch (error) {
+      if (axios.isCancel(error)) throw error;
+      log.debug('Ollama stream failed', { model, error: error.message });
+      throw backendError('Ollama', error);
+    }
+  }
+
+  async generateEmbeddings(model, input, options = {}) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/embed`, {
+        model,
+        input
+      }, {
+        signal: options.signal
+      });
+
+      return {
+        object: 'list',
+        model,
+        data: response.data.embeddings.map((embedding, index) => ({
+          object: 'embedding',
+          index,
+          embedding
+        })),
+        usage: resolveEmbeddingUsage(model, input, {
+          prompt_tokens: response.data.prompt_eval_count
+        })
       };
     } catch (error) {
-      console.error('Ollama error:', error.response?.data || error.message);
-      throw new Error(`Ollama error: ${error.message}`);
+      if (axios.isCancel(error)) throw error;
+      log.debug('Ollama embedding request failed', { model, error: error.message, response: error.response?.data });
+      throw backendError('Ollama', error);
     }
   }
+}
 
-  // Helper method to estimate token count
-  _estimateTokenCount(messages) {
-    let totalChars = 0;
-    messages.forEach(msg => {
-      if (typeof msg === 'string') {
-        totalChars += msg.length;
-      } else if (msg.content) {
-        totalChars += msg.content.length;
-      }
-    });
-    // Rough estimate: avg 4 chars per token
-    return Math.ceil(totalChars / 4);
+function withUnsupported(response, unsupported) {
+  if (unsupported.length > 0) {
+    response.unsupported_params = unsupported;
+  }
+  return response;
+}
+
+// Names the backend in the error. retryable marks failures of the host
+// itself (unreachable, dropped connection, 5xx) rather than of the request,
+// which another host could serve (see backendPool.js).
+function backendError(displayName, error) {
+  const wrapped = new Error(`${displayName} error: ${error.message}`);
+  const status = error.response?.status;
+  wrapped.status = status;
+  wrapped.retryable = status === undefined ? Boolean(error.code) : status >= 500;
+  return wrapped;
+}
+
+// Newer Ollama versions list capabilities; older ones only show tool
+// support through the chat template
+function ollamaCapabilities(show) {
+  if (Array.isArray(show.capabilities)) {
+    return show.capabilities.filter(capability => capability !== 'completion');
   }
+  const capabilities = show.template?.includes('.Tools') ? ['tools'] : [];
+  if (show.projector_info) capabilities.push('vision');
+  return capabilities;
+}
+
+function ollamaFinishReason(data, toolCalls) {
+  if (toolCalls.length > 0) return 'tool_calls';
+  return data.done_reason === 'length' ? 'length' : 'stop';
 }
 
-class LMStudioClient extends LLMClient {
+// Ollama reports token counts as prompt_eval_count/eval_count. It leaves
+// prompt_eval_count out when the whole prompt was served from its cache.
+function ollamaUsage(data) {
+  return {
+    prompt_tokens: data.prompt_eval_count,
+    completion_tokens: data.eval_count
+  };
+}
+
+// Base for every backend that speaks the OpenAI REST API. apiBase is the URL
+// the /chat/completions, /models and /embeddings paths hang off (usually
+// ending in /v1). samplingParams maps request parameters to the names the
+// server accepts, for servers that go beyond the OpenAI set.
+class OpenAICompatibleClient extends LLMClient {
+  constructor({ apiBase, apiKey, healthUrl, samplingParams = OPENAI_PARAMS, ...rest }) {
+    super(rest);
+    this.apiBase = apiBase.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.healthUrl = healthUrl || `${this.apiBase}/models`;
+    this.samplingParams = samplingParams;
+  }
+
+  get requestOptions() {
+    const options = {};
+    if (this.apiKey) {
+      options.headers = { 'Authorization': `Bearer ${this.apiKey}` };
+    }
+    return options;
+  }
+
+  async checkHealth() {
+    return ServiceChecker.isServiceRunning(this.healthUrl, {
+      headers: this.requestOptions.headers
+    });
+  }
+
+  async listModels() {
+    const response = await axios.get(`${this.apiBase}/models`, this.requestOptions);
+    if (!response.data || !Array.isArray(response.data.data)) {
+      return [];
+    }
+
+    return response.data.data.map(model => ({
+      name: model.id,
+      type: this.name,
+      details: model
+    }));
+  }
+
+  // llama.cpp reports meta.n_params/n_ctx_train, vLLM max_model_len and
+  // some servers a plain context_length in their /models entries
+  async describeModel(model) {
+    const entry = model.details || {};
+    const metadata = {};
+
+    if (entry.meta?.n_params) {
+      metadata.parameters = entry.meta.n_params / 1e9;
+    }
+    const contextLength = entry.max_model_len || entry.context_length || entry.meta?.n_ctx_train;
+    if (contextLength) {
+      metadata.contextLength = contextLength;
+    }
+
+    return metadata;
+  }
+
   async generateCompletion(model, messages, options = {}) {
+    const { mapped, unsupported } = mapSamplingParams(options, this.samplingParams);
+
     try {
       const requestBody = {
         model,
-        messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.max_tokens || 4096,
+        messages: toDataUrlImages(messages),
+        ...mapped,
+        ...openAIToolFields(options),
         stream: false
       };
 
       const response = await axios.post(
-        `${config.lmstudio_url}/chat/completions`, 
-        requestBody
+        `${this.apiBase}/chat/completions`,
+        requestBody,
+        { ...this.requestOptions, signal: options.signal }
       );
 
-      return {
+      return withUnsupported({
         id: `chatcmpl-${Date.now()}`,
         object: 'chat.completion',
         created: Math.floor(Date.now() / 1000),
         model: model,
         choices: response.data.choices,
-        usage: response.data.usage || {
-          prompt_tokens: 0,
-          completion_tokens: 0,
-          total_tokens: 0
-        }
-      };
-
+        usage: resolveUsage(
+          model,
+          messages,
+          response.data.choices?.[0]?.message?.content,
+          response.data.usage
+        )
+      }, unsupported);
     } catch (error) {
-      throw new Error(`LM Studio error: ${error.message}`);
+      if (axios.isCancel(error)) throw error;
+      log.debug(`${this.displayName} request failed`, { model, error: error.message, response: error.response?.data });
+      throw backendError(this.displayName, error);
     }
   }
-}
 
-class ExoClient extends LLMClient {
-  async generateCompletion(model, messages, options = {}) {
+  async streamCompletion(model, messages, options = {}, onChunk) {
+    const { mapped, unsupported } = mapSamplingParams(options, this.samplingParams);
+
     try {
-      console.log('Sending request to EXO:', {
+      const response = await axios.post(`${this.apiBase}/chat/completions`, {
         model,
-        messageCount: messages.length,
-        options
+        messages: toDataUrlImages(messages),
+        ...mapped,
+        ...openAIToolFields(options),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, {
+        ...this.requestOptions,
+        responseType: 'stream',
+        signal: options.signal
       });
 
-      const response = await axios.post(
-        `${config.exo_url}/v1/chat/completions`,
-        {
-          model,
-          messages,
-          temperature: options.temperature || 0.7,
-          max_tokens: options.max_tokens || 4096,
-          stream: false
-        },
-        {
-          timeout: 60000 // 60 second timeout
+      let content = '';
+      let finishReason = null;
+      let usage = null;
+      const toolCalls = [];
+
+      for await (const event of readSSE(response.data)) {
+        if (event.usage) {
+          usage = event.usage;
+        }
+
+        const choice = event.choices?.[0];
+        if (!choice) continue;
+
+        const delta = choice.delta?.content;
+        if (delta) {
+          content += delta;
+          onChunk({ content: delta });
         }
+        if (choice.delta?.tool_calls?.length) {
+          mergeToolCallDeltas(toolCalls, choice.delta.tool_calls);
+          onChunk({ tool_calls: choice.delta.tool_calls });
+        }
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+      }
+
+      return withUnsupported({
+        id: `chatcmpl-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{
+          message: {
+            role: 'assistant',
+            content,
+            ...(toolCalls.length && { tool_calls: finalToolCalls(toolCalls) })
+          },
+          finish_reason: finishReason || (toolCalls.length ? 'tool_calls' : 'stop')
+        }],
+        usage: resolveUsage(model, messages, content, usage || {})
+      }, unsupported);
+    } catch (error) {
+      if (axios.isCancel(error)) throw error;
+      log.debug(`${this.displayName} stream failed`, { model, error: error.message });
+      throw backendError(this.displayName, error);
+    }
+  }
+
+  async generateEmbeddings(model, input, options = {}) {
+    try {
+      const response = await axios.post(
+        `${this.apiBase}/embeddings`,
+        { model, input },
+        { ...this.requestOptions, signal: options.signal }
       );
 
-      // EXO already returns OpenAI-compatible format
       return {
-        choices: response.data.choices,
-        usage: response.data.usage || {
-          prompt_tokens: 0,
-          completion_tokens: 0,
-          total_tokens: 0
-        }
+        object: 'list',
+        model,
+        data: response.data.data,
+        usage: resolveEmbeddingUsage(model, input, response.data.usage)
       };
-
     } catch (error) {
-      console.error('EXO error:', error.response?.data || error.message);
-      throw new Error(`EXO error: ${error.message}`);
+      if (axios.isCancel(error)) throw error;
+      throw backendError(this.displayName, error);
     }
   }
+}
+
+class LMStudioClient extends OpenAICompatibleClient {
+  constructor({ url }) {
+    super({
+      name: 'lmstudio',
+      displayName: 'LM Studio',
+      apiBase: url,
+      samplingParams: { ...OPENAI_PARAMS, top_k: 'top_k', repeat_penalty: 'repeat_penalty' },
+      installHints: [
+        'Download LM Studio from https://lmstudio.ai',
+        'Start LM Studio and enable local server'
+      ],
+      emptyHints: ['Load a model in LM Studio before connecting']
+    });
+  }
 
-  async getAvailableModels() {
+  // LM Studio's own REST API (/api/v0) has more detail than /v1/models
+  async describeModel(model) {
     try {
-      const response = await axios.get(`${config.exo_url}/v1/models`);
-      return response.data.data.map(model => ({
-        name: model.id,
-        type: 'exo'
-      }));
+      const root = this.apiBase.replace(/\/v1$/, '');
+      const response = await axios.get(
+        `${root}/api/v0/models/${encodeURIComponent(model.name)}`,
+        this.requestOptions
+      );
+
+      const metadata = {
+        family: response.data.arch,
+        quantization: response.data.quantization
+      };
+      if (response.data.max_context_length) {
+        metadata.contextLength = response.data.max_context_length;
+      }
+      const capabilities = (response.data.capabilities || [])
+        .map(capability => capability === 'tool_use' ? 'tools' : capability);
+      if (response.data.type === 'vlm') capabilities.push('vision');
+      if (response.data.type === 'embeddings') capabilities.push('embedding');
+      metadata.capabilities = capabilities;
+      return metadata;
     } catch (error) {
-      console.error('Failed to fetch EXO models:', error.message);
-      return [];
+      return super.describeModel(model);
     }
   }
 }
 
-module.exports = { OllamaClient, LMStudioClient, ExoClient };
\ No newline at end of file
+class ExoClient extends OpenAICompatibleClient {
+  constructor({ url }) {
+    super({
+      name: 'exo',
+      displayName: 'EXO',
+      apiBase: `${url}/v1`,
+      // EXO's API only reads the basics
+      samplingParams: { temperature: 'temperature', max_tokens: 'max_tokens' },
+      installHints: [
+        'Install EXO from https://github.com/exo-explore/exo',
+        'Run "exo" to start the service'
+      ],
+      emptyHints: ['Make sure you have downloaded models first']
+    });
+  }
+}
+
+class LlamaCppClient extends OpenAICompatibleClient {
+  constructor({ url, apiKey }) {
+    super({
+      name: 'llamacpp',
+      displayName: 'llama.cpp',
+      apiBase: `${url}/v1`,
+      healthUrl: `${url}/health`,
+      apiKey,
+      samplingParams: { ...OPENAI_PARAMS, top_k: 'top_k', repeat_penalty: 'repeat_penalty' },
+      installHints: [
+        'Build llama.cpp from https://github.com/ggerganov/llama.cpp',
+        'Run "llama-server -m <model.gguf>" to start the server'
+      ],
+      emptyHints: ['Start llama-server with a model loaded']
+    });
+  }
+}
+
+class VLLMClient extends OpenAICompatibleClient {
+  constructor({ url, apiKey }) {
+    super({
+      name: 'vllm',
+      displayName: 'vLLM',
+      apiBase: `${url}/v1`,
+      healthUrl: `${url}/health`,
+      apiKey,
+      samplingParams: { ...OPENAI_PARAMS, top_k: 'top_k', repeat_penalty: 'repetition_penalty' },
+      installHints: [
+        'Install vLLM from https://docs.vllm.ai',
+        'Run "vllm serve <model>" to start the server'
+      ],
+      emptyHints: ['Start vLLM with the model you want to share']
+    });
+  }
+}
+
+module.exports = {
+  LLMClient,
+  OllamaClient,
+  OpenAICompatibleClient,
+  LMStudioClient,
+  ExoClient,
+  LlamaCppClient,
+  VLLMClient
+};
@@ -0,0 +1,312 @@
+// src/localGateway.js
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const config = require('./config');
+const { RequestCancellation } = require('./cancellation');
+const { requestOutcome } = require('./metrics');
+const { normalizeSamplingParams } = require('./samplingParams');
+const { normalizeToolParams } = require('./toolCalling');
+const { validateImages } = require('./imageInputs');
+const { normalizeEmbeddingInput, embedInBatches } = require('./embeddings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('gateway');
+
+// Serves the models this node shares through an OpenAI-compatible API on a
+// local port, so local tools don't need to know which backend is running.
+// Browsers are only let in from GATEWAY_CORS_ORIGINS, and only with
+// GATEWAY_API_KEY set, so web pages can't use the models behind your back.
+class LocalGateway {
+  constructor(networkClient) {
+    this.networkClient = networkClient;
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    if (config.gateway_cors_origins.length > 0) {
+      app.use(cors({ origin: config.gateway_cors_origins }));
+    }
+    app.use(express.json({ limit: '20mb' }));
+    app.use((req, res, next) => this.authenticate(req, res, next));
+
+    app.get('/v1/models', (req, res) => this.listModels(req, res));
+    app.post('/v1/chat/completions', (req, res) => this.chatCompletions(req, res));
+    app.post('/v1/embeddings', (req, res) => this.embeddings(req, res));
+
+    app.use((req, res) => {
+      sendError(res, 404, `Unknown endpoint ${req.method} ${req.path}`, 'not_found');
+    });
+
+    return app;
+  }
+
+  start() {
+    if (config.gateway_cors_origins.length > 0 && !config.gateway_api_key) {
+      return Promise.reject(new Error('GATEWAY_CORS_ORIGINS needs GATEWAY_API_KEY to be set'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(config.gateway_port, config.gateway_host, () => {
+        log.info(`🌐 Local API gateway listening on http://${config.gateway_host}:${config.gateway_port}/v1`);
+        if (!config.gateway_api_key) {
+          log.warn('⚠️  GATEWAY_API_KEY is not set - the local gateway accepts any request addressed to this machine');
+        }
+        resolve();
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  authenticate(req, res, next) {
+    // Without a key, only requests addressed to this machine by name are
+    // served, so a web page can't reach the gateway through DNS rebinding
+    if (!config.gateway_api_key) {
+      const host = hostName(req.get('host'));
+      if (!LOCAL_HOSTS.has(host) && host !== config.gateway_host) {
+        return sendError(res, 403, 'Requests to this host need GATEWAY_API_KEY', 'host_not_allowed', 'authentication_error');
+      }
+      return next();
+    }
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = Buffer.from(config.gateway_api_key);
+    const received = Buffer.from(token);
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      return sendError(res, 401, 'Invalid API key', 'invalid_api_key', 'authentication_error');
+    }
+    next();
+  }
+
+  listModels(req, res) {
+    res.json({
+      object: 'list',
+      data: this.networkClient.models.map(model => ({
+        id: model.name,
+        object: 'model',
+        created: 0,
+        owned_by: model.type
+      }))
+    });
+  }
+
+  async chatCompletions(req, res) {
+    const { model, messages, stream } = req.body || {};
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return sendError(res, 400, '`messages` must be a non-empty array', 'invalid_request');
+    }
+
+    const modelInfo = this.findModel(res, model, 'chat');
+    if (!modelInfo) return;
+
+    let params;
+    try {
+      params = { ...normalizeSamplingParams(req.body), ...normalizeToolParams(req.body) };
+      validateImages(messages, modelInfo);
+    } catch (error) {
+      return sendError(res, 400, error.message, error.code);
+    }
+
+    const client = this.networkClient.llmClients[modelInfo.type];
+    const cancellation = this.trackCancellation(res);
+    const record = this.recorder(modelInfo);
+    const options = { ...params, signal: cancellation.signal };
+    const id = `chatcmpl-${Date.now()}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    try {
+      if (!stream) {
+        const response = await this.networkClient.scheduler.schedule(modelInfo.name, () =>
+          client.generateCompletion(modelInfo.name, messages, options),
+          { signal: cancellation.signal }
+        );
+
+        record('success', response.usage);
+        return res.json({
+          id,
+          object: 'chat.completion',
+          created,
+          model: modelInfo.name,
+          choices: response.choices,
+          usage: response.usage,
+          ...(response.unsupported_params && { unsupported_params: response.unsupported_params })
+        });
+      }
+
+      const writeChunk = (delta, finishReason = null, usage) => {
+        if (!res.headersSent) {
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+          });
+        }
+        res.write(`data: ${JSON.stringify({
+          id,
+          object: 'chat.completion.chunk',
+          created,
+          model: modelInfo.name,
+          choices: [{ index: 0, delta, finish_reason: finishReason }],
+          ...(usage && { usage })
+        })}\n\n`);
+      };
+
+      const response = await this.networkClient.scheduler.schedule(modelInfo.name, () =>
+        client.streamCompletion(modelInfo.name, messages, options, (delta) => writeChunk(delta)),
+        { signal: cancellation.signal }
+      );
+
+      record('success', response.usage);
+      writeChunk({}, response.choices[0].finish_reason, response.usage);
+      res.end('data: [DONE]\n\n');
+    } catch (error) {
+      if (cancellation.cancelled) {
+        record(cancellationOutcome(cancellation));
+        return this.sendCancellation(res, cancellation);
+      }
+      record(requestOutcome(error));
+      if (res.headersSent) {
+        // Too late for a status code - report the failure inside the stream
+        res.end(`data: ${JSON.stringify({ error: { message: error.message, type: 'server_error' } })}\n\n`);
+        return;
+      }
+      const status = error.code === 'queue_full' || error.code === 'queue_timeout' ? 503 : 502;
+      sendError(res, status, error.message, error.code || 'backend_error', 'server_error');
+    } finally {
+      cancellation.dispose();
+    }
+  }
+
+  async embeddings(req, res) {
+    const { model, input } = req.body || {};
+    let inputs;
+    try {
+      inputs = normalizeEmbeddingInput(input);
+    } catch (error) {
+      return sendError(res, 400, error.message, error.code);
+    }
+
+    const modelInfo = this.findModel(res, model, 'embedding');
+    if (!modelInfo) return;
+
+    const cancellation = this.trackCancellation(res);
+    const record = this.recorder(modelInfo);
+    try {
+      const client = this.networkClient.llmClients[modelInfo.type];
+      const response = await this.networkClient.scheduler.schedule(modelInfo.name, () =>
+        embedInBatches(client, modelInfo.name, inputs, { signal: cancellation.signal }),
+        { signal: cancellation.signal }
+      );
+      record('success', response.usage);
+      res.json(response);
+    } catch (error) {
+      if (cancellation.cancelled) {
+        record(cancellationOutcome(cancellation));
+        return this.sendCancellation(res, cancellation);
+      }
+      record(requestOutcome(error));
+      sendError(res, 502, error.message, error.code || 'backend_error', 'server_error');
+    } finally {
+      cancellation.dispose();
+    }
+  }
+
+  // Stops the backend generation when the caller hangs up or the request
+  // runs past REQUEST_TIMEOUT_MS
+  trackCancellation(res) {
+    const cancellation = new RequestCancellation(config.request_timeout_ms);
+    res.on('close', () => {
+      if (!res.writableEnded) cancellation.cancel('request_cancelled');
+    });
+    return cancellation;
+  }
+
+  sendCancellation(res, cancellation) {
+    if (res.destroyed) return; // nobody left to tell
+
+    const { message, code } = cancellation.error;
+    if (res.headersSent) {
+      res.end(`data: ${JSON.stringify({ error: { message, type: 'cancelled', code } })}\n\n`);
+      return;
+    }
+    sendError(res, code === 'request_timeout' ? 504 : 499, message, code, 'cancelled');
+  }
+
+  // Returns a function that records the request's outcome and duration in
+  // the node's metrics and ledger. Local requests don't move the balance.
+  recorder(modelInfo) {
+    const startedAt = Date.now();
+    const requestId = crypto.randomUUID();
+    return (outcome, usage) => {
+      const durationMs = Date.now() - startedAt;
+      this.networkClient.metrics.recordRequest({
+        model: modelInfo.name,
+        provider: modelInfo.type,
+        source: 'gateway',
+        outcome,
+        durationMs,
+        usage
+      });
+      this.networkClient.ledger.append({
+        requestId,
+        source: 'gateway',
+        model: modelInfo.name,
+        provider: modelInfo.type,
+        tier: modelInfo.tier,
+        outcome,
+        usage,
+        latencyMs: durationMs,
+        balanceBefore: null,
+        balanceAfter: null
+      });
+    };
+  }
+
+  // Looks up a shared model of the given kind, answering with an error when
+  // there isn't one
+  findModel(res, name, kind) {
+    const modelInfo = this.networkClient.models.find(m => m.name === name);
+    if (!modelInfo) {
+      sendError(res, 404, `Model ${name} not available`, 'model_not_found');
+      return null;
+    }
+    if ((modelInfo.kind || 'chat') !== kind) {
+      const description = kind === 'embedding' ? 'not an embedding model' : 'an embedding model';
+      sendError(res, 400, `Model ${name} is ${description}`, 'unsupported_model');
+      return null;
+    }
+    return modelInfo;
+  }
+}
+
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+// "localhost:4000" -> "localhost", "[::1]:4000" -> "::1"
+function hostName(host = '') {
+  const bracketed = /^\[([^\]]+)\]/.exec(host);
+  if (bracketed) return bracketed[1];
+  return host.split(':')[0].toLowerCase();
+}
+
+function cancellationOutcome(cancellation) {
+  return cancellation.error.code === 'request_timeout' ? 'timeout' : 'cancelled';
+}
+
+function sendError(res, status, message, code, type = 'invalid_request_error') {
+  res.status(status).json({ error: { message, type, code } });
+}
+
+module.exports = LocalGateway;
@@ -0,0 +1,208 @@
+// src/logger.js
+const util = require('util');
+const ora = require('ora');
+const chalk = require('chalk');
+const config = require('./config');
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+
+const LEVEL_COLORS = {
+  error: chalk.red,
+  warn: chalk.yellow,
+  info: text => text,
+  debug: chalk.gray
+};
+
+// Field names whose values are never written out
+const SECRET_FIELD = /authorization|api[-_]?key|password|secret|^token$|access[-_]?token|refresh[-_]?token/i;
+// Field names that carry prompt or completion text, written as a size only
+const PROMPT_FIELD = /^(messages|prompt|content|input|delta|completion)$/i;
+
+const level = LEVELS[config.log_level] ?? LEVELS.info;
+const format = config.log_format === 'auto'
+  ? (process.stdout.isTTY ? 'pretty' : 'json')
+  : config.log_format;
+
+let activeSpinner = null; // the ora instance currently drawing, if any
+let sink = null; // takes over pretty output while a full-screen view is up
+
+function secretValues() {
+  return [config.api_key, config.gateway_api_key, config.llamacpp_api_key, config.vllm_api_key]
+    .filter(value => value && value.length >= 8);
+}
+
+function redactString(text) {
+  let result = text.replace(/Bearer\s+[^\s"',]+/gi, 'Bearer [redacted]');
+  secretValues().forEach(secret => {
+    result = result.split(secret).join('[redacted]');
+  });
+  return result;
+}
+
+function redactPrompt(value) {
+  if (config.log_prompts) return value;
+  if (Array.isArray(value)) return `[${value.length} ${value.length === 1 ? 'item' : 'items'} redacted]`;
+  if (typeof value === 'string') return `[${value.length} chars redacted]`;
+  return '[redacted]';
+}
+
+// Returns a copy of value that is safe to write to a log
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return value.code
+      ? redact({ message: value.message, code: value.code }, depth)
+      : redactString(value.message);
+  }
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 5) return '[nested]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) continue;
+    if (SECRET_FIELD.test(key)) {
+      result[key] = '[redacted]';
+    } else if (PROMPT_FIELD.test(key)) {
+      result[key] = redactPrompt(field);
+    } else {
+      result[key] = redact(field, depth + 1);
+    }
+  }
+  return result;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function formatPretty(levelName, module, message, fields) {
+  const details = Object.entries(fields).map(([key, value]) => `${key}=${formatValue(value)}`);
+  const prefix = levelName === 'debug' ? `[${module}] ` : '';
+  const line = LEVEL_COLORS[levelName](prefix + message);
+  return details.length ? `${line} ${chalk.gray(details.join(' '))}` : line;
+}
+
+function formatJSON(levelName, module, message, fields) {
+  return JSON.stringify({
+    time: new Date().toISOString(),
+    level: levelName,
+    module,
+    msg: util.stripVTControlCharacters(message).trim(),
+    ...fields
+  });
+}
+
+function write(levelName, module, message, fields = {}) {
+  if (LEVELS[levelName] > level) return;
+
+  const safeMessage = redactString(String(message));
+  const safeFields = redact(fields);
+
+  // A full-screen view owns the terminal, whatever the format
+  if (sink) {
+    sink(levelName, formatPretty(levelName, module, safeMessage, safeFields));
+    return;
+  }
+
+  if (format === 'json') {
+    process.stdout.write(formatJSON(levelName, module, safeMessage, safeFields) + '\n');
+    return;
+  }
+
+  // Keep log lines from being drawn over by a running spinner
+  if (activeSpinner) activeSpinner.clear();
+  const stream = LEVELS[levelName] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(formatPretty(levelName, module, safeMessage, safeFields) + '\n');
+  if (activeSpinner) activeSpinner.render();
+}
+
+// Sends pretty log lines to sink(levelName, line) instead of the terminal,
+// or back to the terminal when sink is null. Spinners print plain lines
+// while a sink is set, since they would draw over it.
+function setLogSink(newSink) {
+  if (newSink && activeSpinner) {
+    activeSpinner.stop();
+    activeSpinner = null;
+  }
+  sink = newSink;
+}
+
+// A logger for one module: log.info('Connected', { server })
+function createLogger(module) {
+  return {
+    error: (message, fields) => write('error', module, message, fields),
+    warn: (message, fields) => write('warn', module, message, fields),
+    info: (message, fields) => write('info', module, message, fields),
+    debug: (message, fields) => write('debug', module, message, fields)
+  };
+}
+
+// An ora spinner on an interactive terminal, plain log lines everywhere else
+// (pipes, services, JSON logs)
+class Spinner {
+  constructor(log) {
+    this.log = log;
+    // ora turns its animation off on CI and dumb terminals but still prints
+    // plain lines, which would bypass the logger
+    const spinner = ora();
+    const interactive = format === 'pretty' && spinner.isEnabled && level >= LEVELS.info;
+    this.spinner = interactive ? spinner : null;
+  }
+
+  get ora() {
+    return sink ? null : this.spinner;
+  }
+
+  set text(text) {
+    if (this.ora) {
+      this.ora.text = text;
+    } else {
+      this.log.debug(text);
+    }
+  }
+
+  start(text) {
+    if (!this.ora) {
+      this.log.debug(text);
+      return this;
+    }
+    this.ora.start(text);
+    activeSpinner = this.ora;
+    return this;
+  }
+
+  succeed(text, fields) {
+    return this.finish('succeed', 'info', text, fields);
+  }
+
+  warn(text, fields) {
+    return this.finish('warn', 'warn', text, fields);
+  }
+
+  fail(text, fields) {
+    return this.finish('fail', 'error', text, fields);
+  }
+
+  finish(method, levelName, text, fields = {}) {
+    if (!this.ora) {
+      this.log[levelName](text, fields);
+      return this;
+    }
+    if (activeSpinner === this.ora) activeSpinner = null;
+    const details = Object.entries(redact(fields)).map(([key, value]) => `${key}=${formatValue(value)}`);
+    this.ora[method](redactString(text) + (details.length ? ` ${chalk.gray(details.join(' '))}` : ''));
+    return this;
+  }
+}
+
+function createSpinner(log) {
+  return new Spinner(log);
+}
+
+module.exports = { createLogger, createSpinner, setLogSink, redact };
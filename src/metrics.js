@@ -0,0 +1,136 @@
+// src/metrics.js
+const client = require('prom-client');
+
+const CONNECTION_STATES = ['disconnected', 'connecting', 'connected', 'waiting', 'stopped'];
+
+// Prometheus metrics for one NetworkClient. Counters and histograms are
+// updated as requests finish; gauges read the client's state at scrape time.
+function createMetrics(networkClient) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: 'llmule_process_' });
+
+  const requests = new client.Counter({
+    name: 'llmule_requests_total',
+    help: 'Requests served, by model, provider, source and outcome',
+    labelNames: ['model', 'provider', 'source', 'outcome'],
+    registers: [registry]
+  });
+
+  const tokens = new client.Counter({
+    name: 'llmule_tokens_processed_total',
+    help: 'Tokens processed, by model, provider, kind (prompt/completion) and accounting',
+    labelNames: ['model', 'provider', 'kind', 'accounting'],
+    registers: [registry]
+  });
+
+  const duration = new client.Histogram({
+    name: 'llmule_request_duration_seconds',
+    help: 'Time from receiving a request to sending its response, including queueing',
+    labelNames: ['model', 'provider', 'source'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300],
+    registers: [registry]
+  });
+
+  new client.Counter({
+    name: 'llmule_reconnects_total',
+    help: 'Reconnection attempts since start',
+    registers: [registry],
+    collect() {
+      // Mirror the client's own count so it survives metrics being created late
+      this.reset();
+      this.inc(networkClient.reconnectCount);
+    }
+  });
+
+  new client.Gauge({
+    name: 'llmule_requests_in_flight',
+    help: 'Requests currently running on a backend',
+    registers: [registry],
+    collect() {
+      this.set(networkClient.scheduler.getStats().inFlight);
+    }
+  });
+
+  new client.Gauge({
+    name: 'llmule_queue_depth',
+    help: 'Requests waiting for a free slot',
+    registers: [registry],
+    collect() {
+      this.set(networkClient.scheduler.getStats().queueDepth);
+    }
+  });
+
+  new client.Gauge({
+    name: 'llmule_connection_state',
+    help: 'Connection state (1 for the current state, 0 otherwise)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      CONNECTION_STATES.forEach(state => {
+        this.set({ state }, networkClient.connectionState === state ? 1 : 0);
+      });
+    }
+  });
+
+  new client.Gauge({
+    name: 'llmule_last_heartbeat_age_seconds',
+    help: 'Seconds since the network last showed signs of life',
+    registers: [registry],
+    collect() {
+      this.set((Date.now() - networkClient.lastPong) / 1000);
+    }
+  });
+
+  new client.Gauge({
+    name: 'llmule_available',
+    help: 'Whether the node is taking network requests (0 while sharing is paused)',
+    registers: [registry],
+    collect() {
+      this.set(networkClient.availability.available ? 1 : 0);
+    }
+  });
+
+  new client.Gauge({
+    name: 'llmule_mule_balance',
+    help: 'MULE balance as of the last balance check',
+    registers: [registry],
+    collect() {
+      this.set(networkClient.muleBalance || 0);
+    }
+  });
+
+  new client.Gauge({
+    name: 'llmule_shared_models',
+    help: 'Models currently shared with the network',
+    registers: [registry],
+    collect() {
+      this.set(networkClient.models.length);
+    }
+  });
+
+  return {
+    registry,
+
+    // outcome is one of success, error, cancelled, timeout, rejected or denied
+    recordRequest({ model, provider, source = 'network', outcome, durationMs, usage }) {
+      requests.inc({ model, provider, source, outcome });
+      // Requests turned away before running have no meaningful duration
+      if (durationMs !== undefined) {
+        duration.observe({ model, provider, source }, durationMs / 1000);
+      }
+
+      if (usage) {
+        const accounting = usage.accounting || 'measured';
+        tokens.inc({ model, provider, kind: 'prompt', accounting }, usage.prompt_tokens || 0);
+        tokens.inc({ model, provider, kind: 'completion', accounting }, usage.completion_tokens || 0);
+      }
+    }
+  };
+}
+
+// Requests turned away by the scheduler are counted apart from backend failures
+function requestOutcome(error) {
+  return error.code === 'queue_full' || error.code === 'queue_timeout' ? 'rejected' : 'error';
+}
+
+module.exports = { createMetrics, requestOutcome };
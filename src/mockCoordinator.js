@@ -0,0 +1,369 @@
+// src/mockCoordinator.js
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { parseArgs } = require('util');
+const express = require('express');
+const WebSocket = require('ws');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mock');
+
+// A stand-in for the LLMule server, for running the client offline. It
+// serves the HTTP routes the client calls (/auth/me, /auth/register,
+// /auth/verify, /auth/rotate-key, /v1/balance) and the node protocol on
+// /llm-network: it answers register with registered, pings, sends
+// completion and embedding requests and collects what comes back. Any API
+// key is accepted unless apiKeys lists the valid ones; others are closed
+// with 4001 like the real server does. Registration logs the verification
+// code instead of emailing it, and keys issued for it or by rotation are
+// added to apiKeys.
+//
+// Emits 'registered' (node) on every registration, 'disconnected' (node) and
+// 'message' (node, message) for everything a node sends.
+class MockCoordinator extends EventEmitter {
+  constructor({ apiKeys = null, pingIntervalMs = 15000, tokenPrice = 0.000001 } = {}) {
+    super();
+    this.apiKeys = apiKeys;
+    this.pingIntervalMs = pingIntervalMs;
+    this.tokenPrice = tokenPrice; // MULE credited per token served
+    this.balance = 0;
+    this.nodes = new Set();
+    this.pending = new Map(); // requestId -> { resolve, reject, chunks, timer }
+    this.signUps = new Map(); // email -> verification code
+    this.accounts = new Map(); // issued API key -> email
+    this.server = null;
+    this.wss = null;
+    this.pingTimer = null;
+    this.app = this.createApp();
+  }
+
+  get url() {
+    const { port } = this.server.address();
+    return {
+      api: `http://127.0.0.1:${port}`,
+      ws: `ws://127.0.0.1:${port}/llm-network`
+    };
+  }
+
+  bearerKey(header) {
+    return /^Bearer (.+)$/.exec(header || '')?.[1];
+  }
+
+  isValidKey(header) {
+    const key = this.bearerKey(header);
+    return Boolean(key) && (!this.apiKeys || this.apiKeys.includes(key));
+  }
+
+  issueKey(email, replacing) {
+    const apiKey = `mule-${crypto.randomBytes(24).toString('hex')}`;
+    this.accounts.delete(replacing);
+    this.accounts.set(apiKey, email);
+    if (this.apiKeys) {
+      this.apiKeys = [...this.apiKeys.filter(key => key !== replacing), apiKey];
+    }
+    return apiKey;
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.post('/auth/register', (req, res) => {
+      if (!req.body?.email?.includes('@')) {
+        return res.status(400).json({ error: 'A valid email is required' });
+      }
+      const code = String(crypto.randomInt(100000, 1000000));
+      this.signUps.set(req.body.email, code);
+      log.info('📨 Registration requested', { email: req.body.email, code });
+      res.json({ message: 'Check your email for your verification code' });
+    });
+
+    app.post('/auth/verify', (req, res) => {
+      const { email, code } = req.body || {};
+      if (!email || this.signUps.get(email) !== String(code)) {
+        return res.status(400).json({ error: 'Invalid verification code' });
+      }
+      this.signUps.delete(email);
+      res.json({ apiKey: this.issueKey(email) });
+    });
+
+    app.use((req, res, next) => {
+      if (!this.isValidKey(req.headers.authorization)) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      next();
+    });
+
+    app.get('/auth/me', (req, res) => {
+      const email = this.accounts.get(this.bearerKey(req.headers.authorization)) || 'node@example.com';
+      res.json({ userId: 'mock-user', email, provider: 'mock' });
+    });
+
+    app.post('/auth/rotate-key', (req, res) => {
+      const key = this.bearerKey(req.headers.authorization);
+      res.json({ apiKey: this.issueKey(this.accounts.get(key) || 'node@example.com', key) });
+    });
+
+    app.get('/v1/balance', (req, res) => {
+      res.json({
+        mule_balance: this.balance,
+        available_tokens: { small: 1000000, medium: 500000, large: 100000, xl: 50000 },
+        last_updated: new Date().toISOString()
+      });
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ error: `Unknown endpoint ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+
+  start(port = 3000, host = '127.0.0.1') {
+    this.server = http.createServer(this.app);
+    this.wss = new WebSocket.Server({ server: this.server, path: '/llm-network' });
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+    this.pingTimer = setInterval(() => {
+      this.nodes.forEach(node => this.sendTo(node, { type: 'ping' }));
+    }, this.pingIntervalMs);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this));
+    });
+  }
+
+  async stop() {
+    clearInterval(this.pingTimer);
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Coordinator stopped'));
+    });
+    this.pending.clear();
+    if (!this.server) return;
+
+    this.wss.clients.forEach(ws => ws.terminate());
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    await new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  handleConnection(ws, req) {
+    if (!this.isValidKey(req.headers.authorization)) {
+      ws.close(4001, 'Invalid API key');
+      return;
+    }
+
+    const node = {
+      id: crypto.randomUUID(),
+      ws,
+      registered: false,
+      models: [],
+      embeddingModels: [],
+      modelMetadata: [],
+      benchmarks: {},
+      status: null
+    };
+    this.nodes.add(node);
+
+    ws.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        log.warn('Unparseable message from node', { node: node.id });
+        return;
+      }
+      this.handleMessage(node, message);
+    });
+
+    ws.on('close', () => {
+      this.nodes.delete(node);
+      log.info('🔌 Node disconnected', { node: node.id });
+      this.emit('disconnected', node);
+    });
+  }
+
+  handleMessage(node, message) {
+    this.emit('message', node, message);
+
+    switch (message.type) {
+      case 'register':
+        Object.assign(node, {
+          registered: true,
+          models: message.models || [],
+          embeddingModels: message.embeddingModels || [],
+          modelMetadata: message.modelMetadata || []
+        });
+        log.info('✨ Node registered', { node: node.id, models: node.models, embeddingModels: node.embeddingModels });
+        this.sendTo(node, { type: 'registered' });
+        this.emit('registered', node);
+        break;
+
+      case 'register_models':
+        node.models = [...new Set([...node.models, ...(message.models || [])])];
+        node.embeddingModels = [...new Set([...node.embeddingModels, ...(message.embeddingModels || [])])];
+        break;
+
+      case 'unregister_models':
+        node.models = node.models.filter(name => !message.models.includes(name));
+        node.embeddingModels = node.embeddingModels.filter(name => !message.models.includes(name));
+        break;
+
+      case 'node_status':
+        node.status = message;
+        break;
+
+      case 'model_benchmark':
+        node.benchmarks[message.model] = message.benchmark;
+        break;
+
+      case 'completion_chunk':
+        this.pending.get(message.requestId)?.chunks.push(message.delta);
+        break;
+
+      case 'completion_response':
+      case 'embedding_response':
+        this.settle(message);
+        break;
+
+      case 'pong':
+      case 'disconnect':
+        break;
+
+      default:
+        log.debug('Unhandled node message', { type: message.type });
+    }
+  }
+
+  settle(message) {
+    const request = this.pending.get(message.requestId);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pending.delete(message.requestId);
+    const tokens = message.response?.usage?.total_tokens || 0;
+    this.balance += tokens * this.tokenPrice;
+    request.resolve({ response: message.response, chunks: request.chunks });
+  }
+
+  // The first registered node serving the model, or any registered node
+  nodeFor(model) {
+    const registered = [...this.nodes].filter(node => node.registered);
+    return registered.find(node => node.models.includes(model) || node.embeddingModels.includes(model))
+      || registered[0];
+  }
+
+  // Sends a request to a node and resolves with { response, chunks } once it
+  // answers. payload may carry its own requestId, e.g. to cancel it later.
+  request(type, payload, { node = this.nodeFor(payload.model), timeoutMs = 60000 } = {}) {
+    if (!node) {
+      return Promise.reject(new Error('No registered node'));
+    }
+
+    const requestId = payload.requestId || crypto.randomUUID();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new Error(`No response to ${requestId} within ${timeoutMs}ms`));
+      }, timeoutMs);
+      this.pending.set(requestId, { resolve, reject, chunks: [], timer });
+      this.sendTo(node, { ...payload, type, requestId, requesterId: payload.requesterId || 'mock-requester' });
+    });
+  }
+
+  complete(payload, options) {
+    return this.request('completion_request', payload, options);
+  }
+
+  embed(payload, options) {
+    return this.request('embedding_request', payload, options);
+  }
+
+  cancel(requestId) {
+    this.nodes.forEach(node => this.sendTo(node, { type: 'cancel_request', requestId }));
+  }
+
+  sendTo(node, message) {
+    if (node.ws.readyState === WebSocket.OPEN) {
+      node.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+
+  // Sends anything at all, including text that isn't JSON
+  sendRaw(data) {
+    this.nodes.forEach(node => this.sendTo(node, data));
+  }
+
+  // Cuts every node off without a close handshake, like a network failure
+  dropConnections() {
+    this.nodes.forEach(node => node.ws.terminate());
+  }
+
+  // Resolves with the arguments of the next matching event
+  waitFor(event, { timeoutMs = 30000, filter = () => true } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off(event, listener);
+        reject(new Error(`Timed out waiting for ${event}`));
+      }, timeoutMs);
+      const listener = (...args) => {
+        if (!filter(...args)) return;
+        clearTimeout(timer);
+        this.off(event, listener);
+        resolve(args);
+      };
+      this.on(event, listener);
+    });
+  }
+}
+
+// Serves a coordinator on a fixed port. The client's defaults already point
+// at http://localhost:3000, so `npm start` connects to it as is.
+async function main(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string', short: 'p', default: '3000' },
+      host: { type: 'string', default: '127.0.0.1' },
+      'api-key': { type: 'string', multiple: true },
+      // Sends a sample request to every chat model a node registers
+      'demo-interval': { type: 'string' }
+    }
+  });
+
+  const coordinator = new MockCoordinator({ apiKeys: values['api-key'] || null });
+  await coordinator.start(parseInt(values.port), values.host);
+  log.info(`🧪 Mock coordinator listening on ${coordinator.url.api}`, { websocket: coordinator.url.ws });
+
+  const demoMs = parseInt(values['demo-interval'] || '0') * 1000;
+  if (demoMs) {
+    setInterval(() => {
+      coordinator.nodes.forEach(node => node.models.forEach(async model => {
+        try {
+          const { response } = await coordinator.complete(
+            { model, messages: [{ role: 'user', content: 'Say hello in five words.' }] },
+            { node }
+          );
+          log.info(`💬 ${model}`, { reply: response.error?.message || response.choices?.[0]?.message?.content });
+        } catch (error) {
+          log.warn(`Request to ${model} failed`, { error: error.message });
+        }
+      }));
+    }, demoMs);
+  }
+
+  const shutdown = () => coordinator.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    log.error('Mock coordinator failed', { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = { MockCoordinator, main };
@@ -0,0 +1,33 @@
+// src/modelPatterns.js
+
+// Model name patterns are either globs ("llama3*", "*/qwen2.5-*") or
+// regular expressions written as "/pattern/flags". Globs match the whole
+// name, case-insensitively.
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesPattern(name, pattern) {
+  return compilePattern(pattern).test(name);
+}
+
+function matchesAny(name, patterns = []) {
+  return patterns.some(pattern => matchesPattern(name, pattern));
+}
+
+module.exports = { compilePattern, matchesPattern, matchesAny };
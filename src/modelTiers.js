@@ -0,0 +1,158 @@
+// src/modelTiers.js
+const fs = require('fs');
+const config = require('./config');
+const { matchesPattern } = require('./modelPatterns');
+const { createLogger } = require('./logger');
+
+const log = createLogger('tiers');
+
+// Same tiers the network uses for balances (see fetchBalance). Upper bounds
+// are in billions of parameters.
+const TIERS = ['small', 'medium', 'large', 'xl'];
+const TIER_LIMITS = [
+  { tier: 'small', maxParameters: 4 },
+  { tier: 'medium', maxParameters: 10 },
+  { tier: 'large', maxParameters: 35 }
+];
+
+// Typical sizes for families whose names don't carry a parameter count
+const FAMILY_PARAMETERS = {
+  tinyllama: 1.1,
+  phi2: 2.7,
+  phi3: 3.8,
+  phi4: 14,
+  mistral: 7,
+  mixtral: 47,
+  gemma: 7,
+  gemma2: 9,
+  llava: 7
+};
+
+// Embedding models are small and cheap to run whatever their size
+const EMBEDDING_FAMILIES = ['bert', 'nomic-bert', 'xlm-roberta'];
+// For servers that don't say what a model is: nomic-embed-text,
+// bge-m3, multilingual-e5-large, all-MiniLM-L6-v2, gte-base ...
+const EMBEDDING_NAME = /embed|minilm|(?:^|[^a-z])(?:bge|e5|gte)(?:[^a-z]|$)/i;
+
+let overrides = null;
+
+function loadOverrides() {
+  if (overrides) return overrides;
+
+  overrides = {};
+  if (config.model_tiers_file && fs.existsSync(config.model_tiers_file)) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(config.model_tiers_file, 'utf8'));
+    } catch (error) {
+      log.error(`Could not read ${config.model_tiers_file}`, { error: error.message });
+    }
+  }
+  return overrides;
+}
+
+// "7.2B" -> 7.2, "137M" -> 0.137
+function parseParameterCount(value) {
+  if (typeof value === 'number') return value;
+  if (!value) return null;
+
+  const match = /^\s*([\d.]+)\s*([KMBT])?/i.exec(value);
+  if (!match) return null;
+
+  const scale = { K: 1e-6, M: 1e-3, B: 1, T: 1e3 }[(match[2] || 'B').toUpperCase()];
+  return parseFloat(match[1]) * scale;
+}
+
+// Picks the size out of names like "llama3.1:8b", "qwen2.5-7b-instruct",
+// "mixtral:8x7b" or "gemma3:270m"
+function parametersFromName(name) {
+  const moe = /(\d+)x(\d+(?:\.\d+)?)b(?![a-z])/i.exec(name);
+  if (moe) {
+    return parseInt(moe[1]) * parseFloat(moe[2]);
+  }
+
+  const match = /(?:^|[^a-z\d.])(\d+(?:\.\d+)?)([bm])(?![a-z])/i.exec(name);
+  if (!match) return null;
+  return parseFloat(match[1]) * (match[2].toLowerCase() === 'm' ? 1e-3 : 1);
+}
+
+// "Q4_K_M" -> 4, "IQ2_XS" -> 2, "F16" -> 16, "AWQ" -> 4
+function quantizationBits(quantization) {
+  if (!quantization) return null;
+
+  const match = /(?:^|[^a-z])(?:i?q|f|bf|fp|int)(\d+)/i.exec(quantization);
+  if (match) return parseInt(match[1]);
+  if (/awq|gptq/i.test(quantization)) return 4;
+  return null;
+}
+
+function tierForParameters(parameters) {
+  const limit = TIER_LIMITS.find(({ maxParameters }) => parameters <= maxParameters);
+  return limit ? limit.tier : 'xl';
+}
+
+function shiftTier(tier, steps) {
+  const index = Math.min(Math.max(TIERS.indexOf(tier) + steps, 0), TIERS.length - 1);
+  return TIERS[index];
+}
+
+// Returns { tier, tierSource, parameters } for a detected model. metadata is
+// the normalized output of provider.describeModel().
+function classifyModel(name, metadata = {}) {
+  const override = Object.entries(loadOverrides()).find(([pattern]) => matchesPattern(name, pattern));
+  if (override && TIERS.includes(override[1])) {
+    return { tier: override[1], tierSource: 'override', parameters: metadata.parameters ?? null };
+  }
+
+  const family = (metadata.family || '').toLowerCase();
+  if (EMBEDDING_FAMILIES.includes(family)) {
+    return { tier: 'small', tierSource: 'family', parameters: metadata.parameters ?? null };
+  }
+
+  let parameters = metadata.parameters;
+  let tierSource = 'metadata';
+  if (!parameters) {
+    parameters = parametersFromName(name);
+    tierSource = 'name';
+  }
+  const baseName = name.split('/').pop().split(':')[0].toLowerCase();
+  const familyParameters = FAMILY_PARAMETERS[family] || FAMILY_PARAMETERS[baseName];
+  if (!parameters && familyParameters) {
+    parameters = familyParameters;
+    tierSource = 'family';
+  }
+  if (!parameters) {
+    return { tier: 'medium', tierSource: 'default', parameters: null };
+  }
+
+  let tier = tierForParameters(parameters);
+
+  // Very aggressive quantization and very short context windows both make a
+  // model noticeably less capable than its parameter count suggests
+  const bits = quantizationBits(metadata.quantization);
+  if (bits !== null && bits <= 3) {
+    tier = shiftTier(tier, -1);
+  }
+  if (metadata.contextLength && metadata.contextLength < 4096) {
+    tier = shiftTier(tier, -1);
+  }
+
+  return { tier, tierSource, parameters: Math.round(parameters * 100) / 100 };
+}
+
+// 'embedding' for models that only produce embeddings, 'chat' otherwise.
+// The backend's capabilities win; family and name are the fallback.
+function modelKind(name, metadata = {}) {
+  if (metadata.capabilities?.includes('embedding')) return 'embedding';
+  if (EMBEDDING_FAMILIES.includes((metadata.family || '').toLowerCase())) return 'embedding';
+  if (!metadata.capabilities?.length && EMBEDDING_NAME.test(name.split('/').pop())) return 'embedding';
+  return 'chat';
+}
+
+module.exports = {
+  TIERS,
+  classifyModel,
+  modelKind,
+  parseParameterCount,
+  parametersFromName,
+  quantizationBits
+};
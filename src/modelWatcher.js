@@ -0,0 +1,82 @@
+// src/modelWatcher.js
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+function modelKey(model) {
+  return `${model.type}:${model.name}`;
+}
+
+// Changes when the model behind a name does: a new digest after a re-pull,
+// or different metadata (quantization, context length) where backends don't
+// report digests. Raw backend details are left out, since some carry
+// values that change on every listing, like the `created` time of
+// OpenAI-style /v1/models entries.
+function modelFingerprint(model) {
+  const { family, parameters, quantization, contextLength } = model.metadata || {};
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([model.digest, family, parameters, quantization, contextLength]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Re-runs model detection on an interval and reports what changed since the
+// last run: 'added' with models that appeared, 'removed' with models that
+// went away and 'changed' with models still there under the same name whose
+// fingerprint differs.
+class ModelWatcher extends EventEmitter {
+  constructor(modelDetector, { intervalMs = 60000 } = {}) {
+    super();
+    this.modelDetector = modelDetector;
+    this.intervalMs = intervalMs;
+    this.known = new Map();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  // Seeds the watcher with the result of the initial detection
+  setKnownModels(models) {
+    this.known = new Map(models.map(model => [modelKey(model), model]));
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) return;
+    this.timer = setInterval(() => this.check(), this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async check() {
+    // Detection can take longer than the interval when a backend is slow
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const detected = await this.modelDetector.detectAll({ quiet: true });
+      const current = new Map(detected.map(model => [modelKey(model), model]));
+
+      const added = detected.filter(model => !this.known.has(modelKey(model)));
+      const removed = [...this.known.values()].filter(model => !current.has(modelKey(model)));
+      const changed = detected.filter(model => {
+        const known = this.known.get(modelKey(model));
+        return known && modelFingerprint(known) !== modelFingerprint(model);
+      });
+
+      this.known = current;
+
+      if (added.length > 0) this.emit('added', added);
+      if (removed.length > 0) this.emit('removed', removed);
+      if (changed.length > 0) this.emit('changed', changed);
+    } catch (error) {
+      this.emit('error', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+}
+
+module.exports = { ModelWatcher, modelKey, modelFingerprint };
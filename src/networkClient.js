@@ -1,38 +1,103 @@
 // src/networkClient.js
-const ora = require('ora');
+const EventEmitter = require('events');
 const WebSocket = require('ws');
-const axios = require('axios');
-const { prompt, MultiSelect } = require('enquirer');
+const { MultiSelect, Select } = require('enquirer');
 const chalk = require('chalk');
 const config = require('./config');
 const ModelDetector = require('./modelDetector');
-const { OllamaClient, LMStudioClient, ExoClient } = require('./llmClients');
+const RequestScheduler = require('./requestScheduler');
+const SharingPolicy = require('./sharingPolicy');
+const PolicyEngine = require('./policyEngine');
+const Backoff = require('./backoff');
+const AvailabilityManager = require('./availabilityManager');
+const { RequestCancellation } = require('./cancellation');
+const { normalizeSamplingParams } = require('./samplingParams');
+const { normalizeToolParams } = require('./toolCalling');
+const { validateImages } = require('./imageInputs');
+const { normalizeEmbeddingInput, embedInBatches, embeddingMessages } = require('./embeddings');
+const { ModelWatcher, modelKey } = require('./modelWatcher');
+const { runBenchmark, BenchmarkStore } = require('./benchmark');
+const LocalGateway = require('./localGateway');
+const Dashboard = require('./dashboard');
+const StatusServer = require('./statusServer');
+const { createMetrics, requestOutcome } = require('./metrics');
+const { Ledger } = require('./ledger');
+const { createDefaultRegistry } = require('./providerRegistry');
+const { getUserInfo, getBalance, register, login } = require('./account');
+const { createLogger, createSpinner } = require('./logger');
 
-const spinner = ora();
+const log = createLogger('network');
+const spinner = createSpinner(log);
 
-class NetworkClient {
+// Emits 'request' with { requestId, model, provider, outcome, durationMs,
+// usage } as each network request finishes
+class NetworkClient extends EventEmitter {
   constructor() {
+    super();
     this.ws = null;
-    this.modelDetector = new ModelDetector();
-    this.llmClients = {
-      ollama: new OllamaClient(),
-      lmstudio: new LMStudioClient(),
-      exo: new ExoClient()
-    };
+    this.providers = createDefaultRegistry();
+    this.modelDetector = new ModelDetector(this.providers);
+    this.llmClients = this.providers.clients();
     this.models = [];
+    this.sharingPolicy = new SharingPolicy(config.sharing);
+    this.declinedModels = new Set(); // models the user chose not to share
+    this.policy = new PolicyEngine(config.policy, { auditPath: config.policy_audit_path });
+    this.modelWatcher = new ModelWatcher(this.modelDetector, {
+      intervalMs: config.model_refresh_interval_ms
+    });
+    this.modelWatcher.on('added', (models) => this.handleModelsAdded(models));
+    this.modelWatcher.on('removed', (models) => this.handleModelsRemoved(models));
+    this.modelWatcher.on('changed', (models) => this.handleModelsChanged(models));
+    this.modelWatcher.on('error', (error) => {
+      log.warn('⚠️  Model refresh failed', { error: error.message });
+    });
     this.isConnected = false;
-    this.activeModels = new Set();
-    this.maxConcurrentModels = parseInt(process.env.MAX_CONCURRENT_MODELS || '2');
+    // disconnected -> connecting -> connected, waiting between retries,
+    // stopped once shutting down
+    this.connectionState = 'disconnected';
+    this.reconnectTimer = null;
+    this.backoff = new Backoff({
+      baseDelayMs: config.reconnect_base_delay_ms,
+      maxDelayMs: config.reconnect_max_delay_ms,
+      maxAttempts: config.max_retries
+    });
+    this.outbox = [];
+    this.scheduler = new RequestScheduler({
+      maxConcurrent: config.max_concurrent_requests,
+      maxPerModel: config.max_concurrent_per_model,
+      maxActiveModels: config.max_concurrent_models,
+      maxQueueSize: config.max_queue_size,
+      maxQueueWaitMs: config.max_queue_wait_ms
+    });
+    this.scheduler.on('change', (stats) => {
+      this.lastActivityAt = Date.now();
+      this.sendNodeStatus(stats);
+    });
+    this.lastActivityAt = 0;
+    this.availability = new AvailabilityManager(config.availability, {
+      // Load from a request that just finished still shows in the next sample
+      isServing: () => this.scheduler.getStats().inFlight > 0
+        || Date.now() - this.lastActivityAt < config.availability.intervalMs
+    });
+    this.availability.on('change', (status) => this.handleAvailabilityChange(status));
+    this.activeRequests = new Map(); // requestId -> RequestCancellation
+    this.gateway = config.gateway_port ? new LocalGateway(this) : null;
+    this.metrics = createMetrics(this);
+    this.ledger = new Ledger(config.ledger_path);
+    this.benchmarks = new BenchmarkStore(config.benchmark_path);
+    this.benchmarkQueue = Promise.resolve(); // runs one benchmark at a time
+    this.statusServer = config.metrics_port ? new StatusServer(this) : null;
+    this.dashboard = config.dashboard ? new Dashboard(this) : null;
+    this.startedAt = Date.now();
     this.lastPong = Date.now();
     this.heartbeatInterval = null;
     this.shouldReconnect = true; // Add this flag
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 5000;
+    this.reconnectCount = 0;
     this.muleBalance = 0;
     this.lastBalanceCheck = null;
     this.totalRequestsHandled = 0;
     this.totalTokensProcessed = 0;
+    this.estimatedTokensProcessed = 0; // part of the total not reported by a backend
   }
 
   setupHeartbeat() {
@@ -47,7 +112,7 @@ class NetworkClient {
         this.ws.pong();
         this.lastPong = Date.now();
       } catch (error) {
-        console.error('Error sending pong:', error);
+        log.warn('Error sending pong', { error: error.message });
       }
     });
 
@@ -58,8 +123,9 @@ class NetworkClient {
     // Monitor connection health
     this.heartbeatInterval = setInterval(() => {
       if (Date.now() - this.lastPong > 45000) { // 45 seconds timeout
-        console.log('❌ Connection appears dead - reconnecting...');
-        this.reconnect();
+        log.warn('❌ Connection appears dead - reconnecting...');
+        // The close event takes it from here
+        this.ws.terminate();
       }
     }, 15000); // Check every 15 seconds
   }
@@ -67,39 +133,38 @@ class NetworkClient {
   async getUserInfo() {
     try {
       spinner.start('Verifying account...');
-      
-      const response = await axios.get(`${config.api_url}/auth/me`, {
-        headers: { 
-          'Authorization': `Bearer ${config.api_key}`,
-          'Accept': 'application/json'
-        },
-        validateStatus: false
-      });
-
-      if (response.status !== 200) {
-        spinner.fail('Account verification failed');
-        console.error(chalk.red(`   Error: ${response.data?.error || 'Unknown error'}`));
-        return null;
-      }
-
+      const userInfo = await getUserInfo();
       spinner.succeed('Account verified');
-      return response.data;
+      return userInfo;
     } catch (error) {
-      spinner.fail('Account verification failed');
-      console.error(chalk.red(`   Error: ${error.message}`));
+      spinner.fail('Account verification failed', { error: error.message });
       return null;
     }
   }
 
   async selectModelsToShare(availableModels) {
+    if (config.headless) {
+      return this.selectModelsByPolicy(availableModels);
+    }
+
+    // The picker is interactive UI rather than logging, so it writes to the
+    // terminal directly
     try {
       console.log(chalk.cyan('\n📦 Available Models:'));
       availableModels.forEach((model, i) => {
         const shortName = model.name.split('/').pop();
-        console.log(chalk.gray(`   ${i + 1}. ${shortName}`));
+        const kind = model.kind === 'embedding' ? ' (embedding)' : '';
+        console.log(chalk.gray(`   ${i + 1}. ${shortName}${kind}`));
       });
 
-      console.log(chalk.gray('\nAll models are selected by default'));
+      // The sharing policy (all models unless a config file says otherwise)
+      // decides what is selected up front
+      const preselected = this.sharingPolicy.filter(availableModels);
+      if (preselected.length === availableModels.length) {
+        console.log(chalk.gray('\nAll models are selected by default'));
+      } else {
+        console.log(chalk.gray(`\n${preselected.length} models are selected by your sharing policy`));
+      }
       console.log(chalk.gray('Use [Space] to toggle, [Enter] to confirm'));
 
       // Format choices for the MultiSelect prompt
@@ -107,15 +172,15 @@ class NetworkClient {
         name: model.name,
         message: model.name.split('/').pop(),
         value: model.name,
-        enabled: true,
-        initial: true
+        enabled: preselected.includes(model),
+        initial: preselected.includes(model)
       }));
 
       const prompt = new MultiSelect({
         name: 'models',
         message: 'Choose models to share:',
         choices,
-        initial: choices.map(c => c.value),
+        initial: choices.filter(c => c.enabled).map(c => c.value),
         validate: value => value.length > 0 ? true : 'Please select at least one model',
         onCancel: () => {
           process.exit(0); // Ensure clean exit on Ctrl+C
@@ -130,56 +195,61 @@ class NetworkClient {
         process.exit(0);
       }
       // If other error occurs, share all models by default
-      console.log(chalk.yellow('\n⚠️  Selection error - sharing all models'));
+      log.warn('⚠️  Selection error - sharing all models', { error: error.message });
       return availableModels;
     }
   }
 
-  async detectAndConnect() {
-    try {
+  selectModelsByPolicy(availableModels) {
+    const shared = this.sharingPolicy.filter(availableModels);
+
+    log.info(`📦 Models (sharing policy from ${config.config_file})`, {
+      shared: shared.map(model => model.name),
+      skipped: availableModels.filter(model => !shared.includes(model)).map(model => model.name)
+    });
+
+    return shared;
+  }
+
+  // Detects models and lets the user pick which to share, waiting for a
+  // backend to come up if nothing is found
+  async detectModels() {
+    while (true) {
       const availableModels = await this.modelDetector.detectAll();
-      
+
       if (availableModels.length > 0) {
-        console.log(chalk.green(`\n✨ Found ${availableModels.length} ${availableModels.length === 1 ? 'model' : 'models'}`));
-        
+        log.info(`✨ Found ${availableModels.length} ${availableModels.length === 1 ? 'model' : 'models'}`);
+
         try {
           this.models = await this.selectModelsToShare(availableModels);
         } catch (error) {
           if (error.message.includes('canceled')) {
-            console.log(chalk.yellow('\n👋 Shutting down...'));
+            log.info('👋 Shutting down...');
             process.exit(0);
           }
           throw error;
         }
-        
-        if (this.models.length === availableModels.length) {
-          console.log(chalk.green('\n✓ Sharing all models'));
-        } else {
-          console.log(chalk.green(`\n✓ Sharing ${this.models.length} of ${availableModels.length} models`));
+
+        this.declinedModels = new Set(
+          availableModels.filter(model => !this.models.includes(model)).map(modelKey)
+        );
+        this.modelWatcher.setKnownModels(availableModels);
+
+        if (this.models.length > 0) {
+          if (this.models.length === availableModels.length) {
+            log.info('✓ Sharing all models');
+          } else {
+            log.info(`✓ Sharing ${this.models.length} of ${availableModels.length} models`);
+          }
+          return;
         }
-        
-        await this.connect();
-        return;
+
+        log.warn('⚠️  None of the detected models match the sharing policy');
       }
 
-      console.log('\nWaiting for LLM services...');
-      console.log('Press Ctrl+C to exit\n');
-      
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(resolve, 10000);
-        process.once('SIGINT', () => {
-          clearTimeout(timeout);
-          console.log(chalk.yellow('\n👋 Shutting down...'));
-          process.exit(0);
-        });
-      });
-      
-      await this.detectAndConnect();
-      
-    } catch (error) {
-      console.error(chalk.red('Connection failed:'), error.message);
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      await this.detectAndConnect();
+      log.info('Waiting for LLM services... (press Ctrl+C to exit)');
+
+      await new Promise(resolve => setTimeout(resolve, 10000));
     }
   }
 
@@ -187,118 +257,166 @@ class NetworkClient {
     // Ensure we have valid authentication
     await this.ensureAuthentication();
 
-    while (true) {
+    if (this.gateway) {
       try {
-        if (!this.isConnected) {
-          await this.detectAndConnect();
-        }
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        await this.gateway.start();
       } catch (error) {
-        if (error.message.includes('No LLM services available')) {
-          // Already handled in detectAndConnect
-          continue;
-        }
-        console.error(chalk.red('Connection error:'), error.message);
-        this.isConnected = false;
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        log.error('Local gateway failed to start', { error: error.message });
+        this.gateway = null;
       }
     }
+
+    if (this.statusServer) {
+      try {
+        await this.statusServer.start();
+      } catch (error) {
+        log.error('Status server failed to start', { error: error.message });
+        this.statusServer = null;
+      }
+    }
+
+    await this.detectModels();
+
+    // After the model picker, which needs the terminal to itself
+    if (this.dashboard && !this.dashboard.start()) {
+      log.warn('⚠️  The dashboard needs an interactive terminal - logging normally');
+      this.dashboard = null;
+    }
+
+    this.providers.start();
+    this.modelWatcher.start();
+    await this.availability.start();
+    this.benchmarkModels(this.models);
+
+    // From here on the connection state machine keeps the node online
+    await this.attemptConnection();
   }
 
   async ensureAuthentication() {
-    if (!config.api_key) {
-      console.log('\n🔑 No API key found. Starting registration process...');
+    if (config.credentials_warning) {
+      log.warn(`⚠️  ${config.credentials_warning}`);
+    }
 
-      try {
-        const { email } = await prompt({
-          type: 'input',
-          name: 'email',
-          message: 'Please enter your email:',
-          validate: value => {
-            if (!value.includes('@')) return 'Please enter a valid email';
-            return true;
-          }
-        });
+    if (!config.api_key && config.headless) {
+      log.error('❌ No API key found - run `llmule login` once, or set API_KEY in the environment or in .env, when running headless');
+      process.exit(1);
+    }
 
-        console.log('\n📨 Registering with server...');
-        await axios.post(`${config.api_url}/auth/register`, {
-          email
-        });
+    // Interactive sign-up, written straight to the terminal. The key is
+    // saved for next time and this run carries on with it.
+    if (!config.api_key) {
+      console.log('\n🔑 No API key found.');
 
-        console.log('\n✅ Registration successful!');
-        console.log('📧 Please check your email for your API key');
-        console.log('\nOnce you receive your API key:');
-        console.log('1. Create a .env file in the project root');
-        console.log('2. Add your API key: API_KEY=your-key-here');
-        console.log('3. Restart the application\n');
-        
-        process.exit(0);
+      try {
+        const choice = await new Select({
+          name: 'signIn',
+          message: 'How would you like to sign in?',
+          choices: [
+            { name: 'register', message: 'Register with my email' },
+            { name: 'login', message: 'I already have an API key' }
+          ]
+        }).run();
+        await (choice === 'login' ? login() : register());
       } catch (error) {
-        console.error('\n❌ Registration failed:', error.response?.data?.error || error.message);
+        console.error('\n❌ Registration failed:', error.message);
         process.exit(1);
       }
     }
   }
 
-  async reconnect() {
-    if (!this.shouldReconnect) {
-      console.log('Reconnection cancelled - shutdown in progress');
+  // Single entry point for getting back online. Calls made while an attempt
+  // or a retry is already pending are ignored, so the close handler, the
+  // heartbeat and a failed attempt can all call it safely.
+  scheduleReconnect() {
+    if (!this.shouldReconnect) return;
+    if (this.connectionState === 'waiting' || this.connectionState === 'connecting') return;
+
+    this.teardownSocket();
+
+    const delay = this.backoff.next();
+    if (delay === null) {
+      log.error(`Max reconnection attempts (${this.backoff.maxAttempts}) reached. Shutting down...`);
+      this.cleanup().then(() => process.exit(1));
       return;
     }
 
-    if (this.ws) {
-      this.ws.terminate();
+    this.connectionState = 'waiting';
+    this.reconnectCount++;
+    const limit = this.backoff.maxAttempts ? `/${this.backoff.maxAttempts}` : '';
+    log.warn(`Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.backoff.attempts}${limit})...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connectionState = 'disconnected';
+      this.attemptConnection();
+    }, delay);
+  }
+
+  async attemptConnection() {
+    if (!this.shouldReconnect || this.connectionState !== 'disconnected') return;
+
+    this.connectionState = 'connecting';
+    try {
+      await this.connect();
+      if (this.ws.readyState !== WebSocket.OPEN) {
+        throw new Error('Connection closed during registration');
+      }
+      this.connectionState = 'connected';
+      this.isConnected = true;
+      this.backoff.reset();
+      this.flushOutbox();
+    } catch (error) {
+      log.error('Connection failed', { error: error.message });
+      this.connectionState = 'disconnected';
+      this.isConnected = false;
+      this.scheduleReconnect();
     }
+  }
+
+  teardownSocket() {
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
     }
-    
-    this.reconnectAttempts++;
-    if (this.reconnectAttempts > this.maxReconnectAttempts) {
-      console.log('Max reconnection attempts reached. Shutting down...');
-      this.cleanup();
-      process.exit(1);
-      return;
-    }
-    
-    console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-    try {
-      await new Promise(resolve => setTimeout(resolve, this.reconnectDelay));
-      await this.connect();
-      this.reconnectAttempts = 0; // Reset on successful connection
-    } catch (error) {
-      console.error('Reconnection failed:', error);
+    if (this.ws && this.ws.readyState !== WebSocket.CLOSED) {
+      this.ws.terminate();
     }
   }
 
+  async handleAuthenticationFailure() {
+    log.error(config.api_key_source === 'credentials'
+      ? `Authentication failed. The API key saved in ${config.credentials_path} was rejected - run \`llmule login\` with a valid key`
+      : 'Authentication failed. Please check your API key');
+    await this.cleanup();
+    process.exit(1);
+  }
+
+  // One connection attempt: resolves once the socket is open and the models
+  // are registered, rejects if either fails
   async connect() {
-    if (!this.shouldReconnect) {
-      console.log('Connection cancelled - shutdown in progress');
-      return;
-    }
+    log.info(`🔌 Connecting to ${config.server_url}...`);
 
-    console.log(`\n🔌 Connecting to ${config.server_url}...`);
-  
-    this.ws = new WebSocket(config.server_url, {
+    const ws = new WebSocket(config.server_url, {
       headers: { 'Authorization': `Bearer ${config.api_key}` }
     });
-  
+    this.ws = ws;
+
     spinner.start('Connecting to P2P LLM network...');
-    
+
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         reject(new Error('Connection timeout'));
+        ws.terminate();
       }, 15000);
-  
-      this.ws.on('open', async () => {
+
+      ws.on('open', async () => {
         clearTimeout(timeout);
         spinner.succeed('Connected to P2P LLM network');
-        this.isConnected = true;
-        this.reconnectAttempts = 0;
-        
+        this.lastPong = Date.now();
+
         await this.fetchBalance();
         this.setupHeartbeat();
-        
+
         try {
           await this.register();
           resolve();
@@ -307,38 +425,76 @@ class NetworkClient {
         }
       });
 
-      this.ws.on('message', async (data) => {
+      ws.on('message', async (data) => {
         try {
           const message = JSON.parse(data.toString());
           await this.handleMessage(message);
         } catch (error) {
-          console.error('Error handling websocket message:', error);
+          log.error('Error handling websocket message', { error: error.message });
         }
       });
-  
-      this.ws.on('close', async (code, reason) => {
-        spinner.fail(`Disconnected from network: ${reason}`);
+
+      ws.on('close', (code, reason) => {
+        clearTimeout(timeout);
+        // A socket we already replaced or tore down
+        if (ws !== this.ws) return;
+
+        spinner.fail(`Disconnected from network: ${reason.toString() || `code ${code}`}`);
         this.isConnected = false;
-        
+
         if (code === 4001) {
-          console.error('Authentication failed. Please check your API key');
           this.shouldReconnect = false;
           reject(new Error('Authentication failed'));
-        } else if (code === 1000 || !this.shouldReconnect) {
-          console.log('Clean disconnection - not attempting to reconnect');
-        } else {
-          await this.reconnect();
+          this.handleAuthenticationFailure();
+          return;
+        }
+
+        if (this.connectionState === 'connecting') {
+          // attemptConnection handles the retry
+          reject(new Error(`Connection closed (${code})`));
+          return;
+        }
+
+        if (this.connectionState === 'connected') {
+          this.connectionState = 'disconnected';
+          this.scheduleReconnect();
         }
       });
-  
-      this.ws.on('error', async (error) => {
-        console.error('🚨 WebSocket error:', error.message);
-        this.isConnected = false;
+
+      ws.on('error', (error) => {
+        log.error('🚨 WebSocket error', { error: error.message });
         reject(error);
       });
     });
   }
 
+  // Sends a message if the session is up. Messages that belong to a request
+  // (chunks and responses) are held while disconnected and delivered after
+  // the next successful registration; anything else is dropped.
+  send(message) {
+    if (this.connectionState === 'connected' && this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+      return true;
+    }
+
+    if (message.requestId) {
+      this.outbox.push(message);
+      if (this.outbox.length > config.outbox_limit) {
+        const dropped = this.outbox.shift();
+        log.warn(`⚠️  Outbox full - dropped a ${dropped.type}`, { requestId: dropped.requestId });
+      }
+    }
+    return false;
+  }
+
+  flushOutbox() {
+    if (this.outbox.length === 0) return;
+
+    log.info(`📬 Delivering ${this.outbox.length} buffered ${this.outbox.length === 1 ? 'message' : 'messages'}`);
+    const pending = this.outbox;
+    this.outbox = [];
+    pending.forEach(message => this.send(message));
+  }
 
   async register() {
     try {
@@ -346,42 +502,186 @@ class NetworkClient {
       
       const userInfo = await this.getUserInfo();
       if (!userInfo || !userInfo.userId) {
-        spinner.fail('Registration failed');
         throw new Error('Could not verify account');
       }
 
       const registrationMessage = {
         type: 'register',
         apiKey: config.api_key,
-        models: this.models.map(m => m.name),
+        ...this.modelListing(this.models),
         userId: userInfo.userId,
-        provider: userInfo.provider
+        provider: userInfo.provider,
+        capacity: this.scheduler.getLimits(),
+        available: this.availability.available,
+        unavailableReason: this.availability.reason
       };
 
-      // Show selected models in a friendly way
-      console.log(chalk.cyan('\n📦 Sharing Models:'));
-      this.models.forEach(model => {
-        const shortName = model.name.split('/').pop();
-        console.log(chalk.gray(`   • ${shortName}`));
-      });
+      log.info('📦 Sharing Models', { models: this.models.map(describeModel) });
 
       this.ws.send(JSON.stringify(registrationMessage));
       spinner.succeed('Models registered successfully');
     } catch (error) {
-      spinner.fail('Registration failed');
-      console.error(chalk.red(`   Error: ${error.message}`));
+      spinner.fail('Registration failed', { error: error.message });
       this.isConnected = false;
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.close();
-      }
+      throw error;
     }
   }
 
+  // Tells the server to stop or resume routing requests here. Requests
+  // already running are finished either way.
+  handleAvailabilityChange({ available, reason }) {
+    if (available) {
+      log.info('▶️  Machine is free again - resuming sharing');
+    } else {
+      log.warn(`⏸️  Pausing sharing (${AVAILABILITY_REASONS[reason] || reason})`);
+    }
+    this.sendNodeStatus();
+  }
+
+  handleModelsAdded(models) {
+    const shared = this.sharingPolicy
+      .filter(models.filter(model => !this.declinedModels.has(modelKey(model))));
+    this.shareModels(shared, '➕ Now sharing');
+  }
+
+  // Adds models to the shared set and registers them with the server
+  shareModels(models, message) {
+    const added = models.filter(model => !this.models.some(m => modelKey(m) === modelKey(model)));
+    if (added.length === 0) return;
+
+    this.models.push(...added);
+    log.info(message, { models: added.map(describeModel) });
+
+    this.sendModelUpdate({
+      type: 'register_models',
+      ...this.modelListing(added)
+    });
+    this.benchmarkModels(added);
+  }
+
+  // Same name, different model (re-pulled or requantized): re-register the
+  // new details and measure the new version
+  handleModelsChanged(models) {
+    const changed = models.map(model => {
+      const shared = this.models.find(m => modelKey(m) === modelKey(model));
+      if (shared) Object.assign(shared, model);
+      return shared;
+    }).filter(Boolean);
+
+    if (changed.length === 0) return;
+
+    log.info('🔄 Models changed', { models: changed.map(describeModel) });
+    this.sendModelUpdate({
+      type: 'register_models',
+      ...this.modelListing(changed)
+    });
+    this.benchmarkModels(changed);
+  }
+
+  // Measures models without a current benchmark in the background, one at a
+  // time and through the scheduler so network requests aren't starved
+  benchmarkModels(models) {
+    if (!config.auto_benchmark) return;
+
+    models.filter(model => !this.benchmarks.get(model)).forEach(model => {
+      this.benchmarkQueue = this.benchmarkQueue.then(() => this.benchmarkModel(model));
+    });
+  }
+
+  async benchmarkModel(model) {
+    // The model may be gone, or the machine busy, by the time its turn comes
+    if (!this.models.includes(model) || !this.availability.available) return;
+
+    try {
+      const client = this.llmClients[model.type];
+      const result = await this.scheduler.schedule(model.name, () => runBenchmark(client, model));
+      this.benchmarks.set(model, result);
+      log.info('⏱️  Benchmarked', {
+        model: describeModel(model),
+        tokensPerSecond: result.tokensPerSecond,
+        ttftMs: result.ttftMs
+      });
+      this.send({ type: 'model_benchmark', model: model.name, benchmark: result });
+    } catch (error) {
+      log.warn('⚠️  Benchmark failed', { model: model.name, error: error.message });
+    }
+  }
+
+  handleModelsRemoved(models) {
+    this.unshareModels(models, '➖ No longer available');
+  }
+
+  // Takes models out of the shared set. Requests already running finish.
+  unshareModels(models, message) {
+    const removedKeys = new Set(models.map(modelKey));
+    const unshared = this.models.filter(model => removedKeys.has(modelKey(model)));
+
+    if (unshared.length === 0) return;
+
+    this.models = this.models.filter(model => !removedKeys.has(modelKey(model)));
+    log.info(message, { models: unshared.map(model => model.name.split('/').pop()) });
+
+    this.sendModelUpdate({
+      type: 'unregister_models',
+      models: unshared.map(m => m.name)
+    });
+  }
+
+  // The operator's choice for one detected model, which overrides the
+  // sharing policy until the node restarts
+  setModelShared(model, shared) {
+    if (shared) {
+      this.declinedModels.delete(modelKey(model));
+      this.shareModels([model], '➕ Now sharing');
+    } else {
+      this.declinedModels.add(modelKey(model));
+      this.unshareModels([model], '⏹️  Stopped sharing');
+    }
+  }
+
+  // Every model the backends have, shared or not, as of the last detection
+  detectedModels() {
+    return [...this.modelWatcher.known.values()];
+  }
+
+  // Changes made while disconnected are picked up by the full registration
+  // on reconnect, so send() dropping them is fine
+  sendModelUpdate(message) {
+    this.send(message);
+  }
+
+  // Chat and embedding models are listed separately so the server only
+  // routes each request type to models that can serve it
+  modelListing(models) {
+    return {
+      models: models.filter(m => m.kind !== 'embedding').map(m => m.name),
+      embeddingModels: models.filter(m => m.kind === 'embedding').map(m => m.name),
+      modelMetadata: models.map(m => this.buildModelMetadata(m))
+    };
+  }
+
+  buildModelMetadata(model) {
+    const metadata = model.metadata || {};
+    return {
+      name: model.name,
+      provider: model.type,
+      kind: model.kind || 'chat',
+      tier: model.tier,
+      tierSource: model.tierSource,
+      family: metadata.family || null,
+      parameters: metadata.parameters ?? null,
+      quantization: metadata.quantization || null,
+      contextLength: metadata.contextLength || null,
+      capabilities: metadata.capabilities || [],
+      benchmark: this.benchmarks.get(model)
+    };
+  }
+
   async handleMessage(message) {
-    // Remove the debug logs
     switch (message.type) {
       case 'ping':
-        this.ws.send(JSON.stringify({ type: 'pong' }));
+        this.lastPong = Date.now();
+        this.send({ type: 'pong' });
         break;
 
       case 'completion_request':
@@ -389,132 +689,375 @@ class NetworkClient {
         await this.handleCompletionRequest(message);
         break;
 
+      case 'embedding_request':
+        spinner.start('Processing embedding request...');
+        await this.handleEmbeddingRequest(message);
+        break;
+
+      case 'cancel_request':
+        this.cancelRequest(message.requestId);
+        break;
+
       case 'registered':
-        console.log(chalk.green('\n✨ Your node is ready!'));
-        console.log(chalk.gray('   Waiting for incoming requests...\n'));
+        log.info('✨ Your node is ready! Waiting for incoming requests...');
         break;
         
       case 'error':
-        console.error(chalk.red('\n❌ Network Error:'), message.error);
+        log.error('❌ Network Error', { error: message.error });
         break;
 
       default:
-        // Only log unknown messages in development
-        if (process.env.NODE_ENV === 'development') {
-          console.warn('Unknown message type:', message.type);
-        }
+        log.debug('Unknown message type', { type: message.type });
     }
   }
 
   async handleCompletionRequest(message) {
-    const modelInfo = this.models.find(m => m.name === message.model);
-    if (!modelInfo) {
-      spinner.fail(`Model ${message.model} not available`);
-      this.sendErrorResponse(message.requestId, `Model ${message.model} not available`);
+    log.debug('Completion request', {
+      requestId: message.requestId,
+      model: message.model,
+      stream: !!message.stream,
+      messages: message.messages
+    });
+
+    const modelInfo = this.findModel(message.model, 'chat', message.requestId);
+    if (!modelInfo) return;
+
+    if (!Array.isArray(message.messages) || message.messages.length === 0) {
+      spinner.fail('Invalid request: no messages');
+      this.sendErrorResponse(message.requestId, '`messages` must be a non-empty array', 'invalid_request', 'invalid_request_error');
       return;
     }
 
+    let params;
     try {
-      if (this.activeModels.size >= this.maxConcurrentModels &&
-        !this.activeModels.has(message.model)) {
-        throw new Error('Maximum concurrent models reached');
-      }
+      params = { ...normalizeSamplingParams(message), ...normalizeToolParams(message) };
+      validateImages(message.messages, modelInfo);
+    } catch (error) {
+      spinner.fail(`Invalid request: ${error.message}`);
+      this.sendErrorResponse(message.requestId, error.message, error.code, 'invalid_request_error');
+      return;
+    }
 
-      this.activeModels.add(message.model);
-      const client = this.llmClients[modelInfo.type];
-      
-      const shortModelName = modelInfo.name.split('/').pop();
-      spinner.text = `Processing request with ${shortModelName}...`;
+    const decision = this.admitRequest(message, modelInfo, message.messages);
+    if (!decision) return;
+    if (decision.maxTokens !== undefined) {
+      params.max_tokens = decision.maxTokens;
+    }
 
-      const response = await client.generateCompletion(
-        modelInfo.name,
-        message.messages,
-        {
-          temperature: message.temperature,
-          max_tokens: message.max_tokens
-        }
-      );
+    const shortModelName = modelInfo.name.split('/').pop();
+    await this.serveRequest(message, modelInfo, decision, {
+      execute: (signal) => {
+        spinner.text = `Processing request with ${shortModelName}...`;
+        return this.generateResponse(modelInfo, message, params, signal);
+      },
+      // For streamed requests this is the final message and carries the
+      // usage and finish_reason for the whole generation
+      reply: (response) => ({
+        type: 'completion_response',
+        requestId: message.requestId,
+        stream: !!message.stream,
+        response
+      })
+    });
+  }
+
+  async handleEmbeddingRequest(message) {
+    const modelInfo = this.findModel(message.model, 'embedding', message.requestId, 'embedding_response');
+    if (!modelInfo) return;
+
+    let inputs;
+    try {
+      inputs = normalizeEmbeddingInput(message.input);
+    } catch (error) {
+      spinner.fail(`Invalid request: ${error.message}`);
+      this.sendErrorResponse(message.requestId, error.message, error.code, 'invalid_request_error', 'embedding_response');
+      return;
+    }
+    log.debug('Embedding request', { requestId: message.requestId, model: message.model, inputs: inputs.length });
+
+    const decision = this.admitRequest(message, modelInfo, embeddingMessages(inputs), 'embedding_response');
+    if (!decision) return;
+
+    const client = this.llmClients[modelInfo.type];
+    await this.serveRequest(message, modelInfo, decision, {
+      execute: (signal) => {
+        spinner.text = `Embedding ${inputs.length} ${inputs.length === 1 ? 'input' : 'inputs'} with ${modelInfo.name.split('/').pop()}...`;
+        return embedInBatches(client, modelInfo.name, inputs, { signal });
+      },
+      reply: (response) => ({
+        type: 'embedding_response',
+        requestId: message.requestId,
+        response
+      }),
+      responseType: 'embedding_response'
+    });
+  }
+
+  // Looks up a shared model of the given kind, answering the request with an
+  // error when there isn't one
+  findModel(name, kind, requestId, responseType) {
+    const modelInfo = this.models.find(m => m.name === name);
+    if (!modelInfo) {
+      spinner.fail(`Model ${name} not available`);
+      this.sendErrorResponse(requestId, `Model ${name} not available`, undefined, undefined, responseType);
+      return null;
+    }
+    if ((modelInfo.kind || 'chat') !== kind) {
+      const description = kind === 'embedding' ? 'not an embedding model' : 'an embedding model';
+      spinner.fail(`Model ${name} is ${description}`);
+      this.sendErrorResponse(requestId, `Model ${name} is ${description}`, 'unsupported_model', 'invalid_request_error', responseType);
+      return null;
+    }
+    return modelInfo;
+  }
+
+  // Availability and policy checks every request goes through before it is
+  // queued. Returns the policy decision, or null once the request has been
+  // declined.
+  admitRequest(message, modelInfo, messages, responseType) {
+    // The server may route a request here before it sees our pause
+    if (!this.availability.available) {
+      this.metrics.recordRequest({ model: modelInfo.name, provider: modelInfo.type, outcome: 'rejected' });
+      spinner.warn('Request declined - sharing is paused', { requestId: message.requestId });
+      this.sendErrorResponse(message.requestId, 'Node is not accepting requests right now', 'node_unavailable', undefined, responseType);
+      return null;
+    }
+
+    const decision = this.policy.evaluate({
+      requestId: message.requestId,
+      requester: message.requesterId,
+      model: modelInfo.name,
+      messages,
+      maxTokens: message.max_tokens ?? undefined
+    });
+    if (!decision.allowed) {
+      this.metrics.recordRequest({ model: modelInfo.name, provider: modelInfo.type, outcome: 'denied' });
+      spinner.warn('Request denied by policy', { requestId: message.requestId, code: decision.code });
+      this.sendErrorResponse(message.requestId, decision.reason, decision.code, 'policy_error', responseType);
+      return null;
+    }
+    return decision;
+  }
+
+  // Runs an admitted request through the scheduler with cancellation, then
+  // sends the reply and records the outcome in the stats, metrics and ledger.
+  // execute(signal) calls the backend; reply(response) builds the message.
+  async serveRequest(message, modelInfo, decision, { execute, reply, responseType }) {
+    const shortModelName = modelInfo.name.split('/').pop();
+    const cancellation = new RequestCancellation(config.request_timeout_ms);
+    this.activeRequests.set(message.requestId, cancellation);
+    const startedAt = Date.now();
+    const balanceBefore = this.muleBalance;
+    const record = (outcome, usage, durationMs = Date.now() - startedAt) => {
+      this.metrics.recordRequest({
+        model: modelInfo.name,
+        provider: modelInfo.type,
+        outcome,
+        durationMs,
+        usage
+      });
+      this.emit('request', {
+        requestId: message.requestId,
+        model: modelInfo.name,
+        provider: modelInfo.type,
+        outcome,
+        durationMs,
+        usage
+      });
+    };
+    const writeLedger = (outcome, usage, latencyMs = Date.now() - startedAt) => {
+      this.ledger.append({
+        requestId: message.requestId,
+        model: modelInfo.name,
+        provider: modelInfo.type,
+        tier: modelInfo.tier,
+        outcome,
+        usage,
+        latencyMs,
+        balanceBefore,
+        balanceAfter: this.muleBalance
+      });
+    };
+
+    try {
+      const response = await this.scheduler.schedule(modelInfo.name, () => execute(cancellation.signal), {
+        signal: cancellation.signal
+      });
+      this.policy.complete(decision.ticket, response.usage);
+      this.finishRequest(message.requestId);
 
       const tokens = response.usage?.total_tokens || 0;
       this.totalTokensProcessed += tokens;
+      if (response.usage?.accounting !== 'measured') {
+        this.estimatedTokensProcessed += tokens;
+      }
       this.totalRequestsHandled++;
+      const latencyMs = Date.now() - startedAt;
+      record('success', response.usage, latencyMs);
+      if (response.unsupported_params) {
+        log.debug(`${modelInfo.type} ignored some parameters`, {
+          requestId: message.requestId,
+          unsupported: response.unsupported_params
+        });
+      }
 
       // Send response first
-      this.ws.send(JSON.stringify({
-        type: 'completion_response',
-        requestId: message.requestId,
-        response: response
-      }));
+      this.send(reply(response));
 
       // Wait a bit for the transaction to be processed
       await new Promise(resolve => setTimeout(resolve, 1000));
 
       // Then show completion and updated balance
-      spinner.succeed(chalk.green('Request completed'));
-      
-      console.log(chalk.cyan('\n📊 Request Stats:'));
-      console.log(chalk.gray(`   Model: ${shortModelName}`));
-      console.log(chalk.gray(`   Tokens: ${tokens.toLocaleString()}`));
-      console.log(chalk.gray(`   Request #${this.totalRequestsHandled.toLocaleString()}`));
+      spinner.succeed('Request completed');
+      log.info('📊 Request Stats', {
+        model: shortModelName,
+        tokens: `${tokens.toLocaleString()}${response.usage?.accounting === 'estimated' ? ' (estimated)' : ''}`,
+        request: this.totalRequestsHandled,
+        latencyMs
+      });
 
       // Fetch and show new balance after transaction
       await this.fetchBalance();
+      writeLedger('success', response.usage, latencyMs);
 
     } catch (error) {
-      spinner.fail(chalk.red('Request failed'));
-      console.error(chalk.gray(`   Error: ${error.message}`));
-      this.sendErrorResponse(message.requestId, error.message);
+      if (cancellation.cancelled) {
+        const reason = cancellation.error;
+        const outcome = reason.code === 'request_timeout' ? 'timeout' : 'cancelled';
+        record(outcome);
+        writeLedger(outcome);
+        spinner.warn(reason.message, { requestId: message.requestId });
+        this.sendErrorResponse(message.requestId, reason.message, reason.code, 'cancelled', responseType);
+        return;
+      }
+
+      record(requestOutcome(error));
+      writeLedger(requestOutcome(error));
+      spinner.fail('Request failed', { requestId: message.requestId, error: error.message });
+      this.sendErrorResponse(message.requestId, error.message, error.code, undefined, responseType);
     } finally {
-      this.activeModels.delete(message.model);
+      this.finishRequest(message.requestId);
     }
   }
 
+  // Aborts the backend call (or takes the request out of the queue); the
+  // request's own handler then reports it as cancelled
+  cancelRequest(requestId) {
+    const cancellation = this.activeRequests.get(requestId);
+    if (!cancellation) return; // already finished
+
+    log.info('🛑 Cancelling request', { requestId });
+    cancellation.cancel('request_cancelled');
+  }
+
+  finishRequest(requestId) {
+    const cancellation = this.activeRequests.get(requestId);
+    if (!cancellation) return;
+
+    cancellation.dispose();
+    this.activeRequests.delete(requestId);
+  }
+
+  async generateResponse(modelInfo, message, params, signal) {
+    const client = this.llmClients[modelInfo.type];
+    const options = { ...params, signal };
 
-  sendErrorResponse(requestId, errorMessage) {
-    this.ws.send(JSON.stringify({
-      type: 'completion_response',
+    if (message.stream) {
+      let sequence = 0;
+      return client.streamCompletion(
+        modelInfo.name,
+        message.messages,
+        options,
+        (delta) => this.sendCompletionChunk(message.requestId, sequence++, delta)
+      );
+    }
+
+    return client.generateCompletion(modelInfo.name, message.messages, options);
+  }
+
+  // Lets the server route around this node while it is busy
+  sendNodeStatus(stats = this.scheduler.getStats()) {
+    this.send({
+      type: 'node_status',
+      inFlight: stats.inFlight,
+      queueDepth: stats.queueDepth,
+      models: stats.models,
+      available: this.availability.available,
+      unavailableReason: this.availability.reason
+    });
+  }
+
+  sendCompletionChunk(requestId, sequence, delta) {
+    this.send({
+      type: 'completion_chunk',
+      requestId,
+      sequence,
+      delta
+    });
+  }
+
+  sendErrorResponse(requestId, errorMessage, code = 'internal_error', type = 'server_error', messageType = 'completion_response') {
+    this.send({
+      type: messageType,
       requestId: requestId,
       response: {
         error: {
           message: errorMessage,
-          type: "server_error",
-          code: "internal_error"
+          type,
+          code
         }
       }
-    }));
+    });
   }
 
   async fetchBalance() {
     try {
-      const response = await axios.get(`${config.api_url}/v1/balance`, {
-        headers: { 'Authorization': `Bearer ${config.api_key}` }
+      const balance = await getBalance();
+
+      this.muleBalance = balance.mule_balance;
+      this.lastBalanceCheck = balance.last_updated;
+      this.availableTokens = balance.available_tokens;
+
+      log.info(`💰 Balance: ${this.muleBalance.toFixed(6)} MULE`, {
+        availableTokens: this.availableTokens,
+        lastUpdated: this.lastBalanceCheck
       });
-      
-      this.muleBalance = response.data.mule_balance;
-      this.lastBalanceCheck = response.data.last_updated;
-      this.availableTokens = response.data.available_tokens;
-      
-      console.log(chalk.cyan('\n💰 Balance Details:'));
-      console.log(chalk.white(`   ${this.muleBalance.toFixed(6)} MULE tokens`));
-      console.log(chalk.gray('\n   Available Inference Tokens:'));
-      console.log(chalk.gray(`   • Small:  ${this.availableTokens.small.toLocaleString()}`));
-      console.log(chalk.gray(`   • Medium: ${this.availableTokens.medium.toLocaleString()}`));
-      console.log(chalk.gray(`   • Large:  ${this.availableTokens.large.toLocaleString()}`));
-      console.log(chalk.gray(`   • XL:     ${this.availableTokens.xl.toLocaleString()}`));
-      console.log(chalk.gray(`\n   Last updated: ${new Date(this.lastBalanceCheck).toLocaleString()}`));
     } catch (error) {
-      console.error(chalk.yellow('⚠️  Could not fetch balance'));
+      log.warn('⚠️  Could not fetch balance', { error: error.message });
     }
   }
 
   async cleanup() {
+    // Back to the normal screen so the summary below stays visible
+    if (this.dashboard) {
+      this.dashboard.stop();
+    }
+
     spinner.start('Cleaning up...');
     this.shouldReconnect = false;
+    this.connectionState = 'stopped';
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+    }
 
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
     }
 
+    this.modelWatcher.stop();
+    this.providers.stop();
+    this.availability.stop();
+    this.activeRequests.forEach(cancellation => cancellation.cancel('request_cancelled'));
+
+    if (this.gateway) {
+      await this.gateway.stop();
+    }
+
+    if (this.statusServer) {
+      await this.statusServer.stop();
+    }
+
     if (this.ws) {
       try {
         if (this.ws.readyState === WebSocket.OPEN) {
@@ -528,15 +1071,14 @@ class NetworkClient {
 
         this.ws.terminate();
         spinner.succeed('Shutdown complete');
-        
-        // Show final stats
-        console.log(chalk.cyan('\n📈 Session Summary:'));
-        console.log(chalk.white(`   Requests Handled: ${this.totalRequestsHandled}`));
-        console.log(chalk.white(`   Tokens Processed: ${this.totalTokensProcessed}`));
-        console.log(chalk.white(`   Final Balance: ${this.muleBalance.toFixed(6)} MULE`));
+        log.info('📈 Session Summary', {
+          requestsHandled: this.totalRequestsHandled,
+          tokensProcessed: this.totalTokensProcessed,
+          estimatedTokens: this.estimatedTokensProcessed,
+          finalBalance: `${this.muleBalance.toFixed(6)} MULE`
+        });
       } catch (error) {
-        spinner.fail('Error during cleanup');
-        console.error(chalk.gray(`   ${error.message}`));
+        spinner.fail('Error during cleanup', { error: error.message });
       }
     }
 
@@ -545,34 +1087,44 @@ class NetworkClient {
   }
 }
 
+const AVAILABILITY_REASONS = {
+  manual: 'requested by the operator',
+  schedule: 'outside the sharing schedule',
+  cpu: 'CPU is busy',
+  memory: 'memory is low',
+  busy_command: 'busy command reports the machine is in use'
+};
+
+// "llama3.1:8b (medium)" or "nomic-embed-text (embedding, small)" for the
+// model lists in the log
+function describeModel(model) {
+  const kind = model.kind === 'embedding' ? 'embedding, ' : '';
+  return `${model.name.split('/').pop()} (${kind}${model.tier})`;
+}
+
 // Create a single instance that we'll use throughout the application
 const networkClient = new NetworkClient();
 
-// Handle process termination
-process.on('SIGINT', async () => {
-  console.log('\n👋 Gracefully shutting down...');
+async function shutdown(message) {
+  log.info(message);
   try {
     await networkClient.cleanup();
     process.exit(0);
   } catch (error) {
-    console.error('Error during shutdown:', error);
+    log.error('Error during shutdown', { error: error.message });
     process.exit(1);
   }
-});
+}
 
-process.on('SIGTERM', async () => {
-  console.log('\n🛑 Termination signal received. Cleaning up...');
-  try {
-    await networkClient.cleanup();
-    process.exit(0);
-  } catch (error) {
-    console.error('Error during termination cleanup:', error);
-    process.exit(1);
-  }
-});
+// Handle process termination
+process.on('SIGINT', () => shutdown('👋 Gracefully shutting down...'));
+process.on('SIGTERM', () => shutdown('🛑 Termination signal received. Cleaning up...'));
+
+// The dashboard reads keys in raw mode, where Ctrl+C doesn't raise SIGINT
+networkClient.dashboard?.on('quit', () => shutdown('👋 Gracefully shutting down...'));
 
 process.on('unhandledRejection', (error) => {
-  console.error('❌ Unhandled promise rejection:', error);
+  log.error('❌ Unhandled promise rejection', { error: error?.message ?? String(error), stack: error?.stack });
 });
 
 module.exports = { NetworkClient, networkClient };
\ No newline at end of file
@@ -0,0 +1,190 @@
+// src/policyEngine.js
+const fs = require('fs');
+const path = require('path');
+const { compilePattern, matchesPattern } = require('./modelPatterns');
+const { countMessageTokens, messageText } = require('./tokenizer');
+const { createLogger } = require('./logger');
+
+const log = createLogger('policy');
+
+// Operator controls applied to every network request before it reaches a
+// backend. Configured in the "policy" section of the config file:
+//
+//   { "limits": { "*": { "maxPromptTokens": 8000, "maxTokens": 2048 },
+//                 "llama3*": { "maxPromptChars": 16000 } },
+//     "rateLimits": { "windowMs": 60000,
+//                     "perRequester": { "requests": 20, "tokens": 50000 },
+//                     "global": { "requests": 100 } },
+//     "deny": ["some keyword", { "pattern": "/ignore (all )?previous/i", "code": "prompt_injection" }] }
+//
+// Limits from every matching model pattern apply, later entries overriding
+// earlier ones.
+class PolicyEngine {
+  constructor({ limits = {}, rateLimits = {}, deny = [] } = {}, { auditPath } = {}) {
+    this.limits = limits;
+    this.windowMs = rateLimits.windowMs || 60000;
+    this.perRequester = rateLimits.perRequester || {};
+    this.global = rateLimits.global || {};
+    this.denyRules = deny.map(compileDenyRule);
+    this.auditPath = auditPath;
+    this.admitted = []; // { time, requester, tokens } for the current window
+  }
+
+  limitsFor(model) {
+    return Object.entries(this.limits)
+      .filter(([pattern]) => matchesPattern(model, pattern))
+      .reduce((merged, [, limits]) => ({ ...merged, ...limits }), {});
+  }
+
+  // Returns { allowed, code, reason, rule, maxTokens, ticket }. When a model
+  // caps max_tokens and the request doesn't set it, maxTokens carries the
+  // cap. Pass the ticket to complete() once the request's usage is known.
+  evaluate({ requestId, requester = 'anonymous', model, messages, maxTokens }) {
+    const limits = this.limitsFor(model);
+    const promptChars = messages.reduce((total, message) => total + messageText(message).length, 0);
+    const promptTokens = countMessageTokens(model, messages);
+    const facts = { requestId, requester, model, promptChars, promptTokens, maxTokens };
+
+    const denial = this.checkLimits(limits, facts)
+      || this.checkContent(model, messages)
+      || this.checkRateLimits(requester, promptTokens);
+
+    if (denial) {
+      this.audit({ ...facts, decision: 'deny', ...denial });
+      return { allowed: false, ...denial };
+    }
+
+    const ticket = { time: Date.now(), requester, tokens: promptTokens };
+    this.admitted.push(ticket);
+    this.audit({ ...facts, decision: 'allow' });
+
+    return {
+      allowed: true,
+      maxTokens: maxTokens ?? limits.maxTokens,
+      ticket
+    };
+  }
+
+  // Counts the request's actual token usage against the rate limits
+  complete(ticket, usage) {
+    if (ticket && usage?.total_tokens) {
+      ticket.tokens = usage.total_tokens;
+    }
+  }
+
+  checkLimits(limits, { promptChars, promptTokens, maxTokens }) {
+    if (limits.maxPromptChars && promptChars > limits.maxPromptChars) {
+      return denial('prompt_too_large', 'maxPromptChars',
+        `Prompt is ${promptChars} characters; this node accepts at most ${limits.maxPromptChars}`);
+    }
+    if (limits.maxPromptTokens && promptTokens > limits.maxPromptTokens) {
+      return denial('prompt_too_large', 'maxPromptTokens',
+        `Prompt is ${promptTokens} tokens; this node accepts at most ${limits.maxPromptTokens}`);
+    }
+    if (limits.maxTokens && maxTokens > limits.maxTokens) {
+      return denial('max_tokens_exceeded', 'maxTokens',
+        `max_tokens is ${maxTokens}; this node allows at most ${limits.maxTokens}`);
+    }
+    return null;
+  }
+
+  checkContent(model, messages) {
+    const text = messages.map(messageText).join('\n');
+    const rule = this.denyRules.find(rule =>
+      (!rule.models || rule.models.some(pattern => matchesPattern(model, pattern)))
+      && rule.test(text)
+    );
+    if (!rule) return null;
+
+    return denial(rule.code, `deny:${rule.source}`, rule.reason);
+  }
+
+  checkRateLimits(requester, promptTokens) {
+    const now = Date.now();
+    this.admitted = this.admitted.filter(entry => now - entry.time < this.windowMs);
+
+    const mine = this.admitted.filter(entry => entry.requester === requester);
+    const exceeded = windowExceeded(mine, this.perRequester, promptTokens);
+    if (exceeded) {
+      return denial('rate_limited', `perRequester.${exceeded}`,
+        `Too many ${exceeded} from this requester - try again in ${this.retryAfter(mine)}s`);
+    }
+
+    const globalExceeded = windowExceeded(this.admitted, this.global, promptTokens);
+    if (globalExceeded) {
+      return denial('rate_limited', `global.${globalExceeded}`,
+        `This node is at its ${globalExceeded} limit - try again in ${this.retryAfter(this.admitted)}s`);
+    }
+    return null;
+  }
+
+  // Seconds until the oldest entry leaves the window
+  retryAfter(entries) {
+    if (entries.length === 0) return 0;
+    return Math.ceil((entries[0].time + this.windowMs - Date.now()) / 1000);
+  }
+
+  audit(record) {
+    const entry = { timestamp: new Date().toISOString(), ...record };
+
+    if (record.decision === 'deny') {
+      log.warn(`🚫 Request denied: ${record.reason}`, {
+        requestId: record.requestId,
+        requester: record.requester,
+        code: record.code,
+        rule: record.rule
+      });
+    } else {
+      log.debug('Request allowed', { requestId: record.requestId, requester: record.requester });
+    }
+
+    if (!this.auditPath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.auditPath), { recursive: true });
+      fs.appendFileSync(this.auditPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      log.error(`Could not write to policy audit log ${this.auditPath}`, { error: error.message });
+    }
+  }
+}
+
+// Deny rules are keywords (matched case-insensitively anywhere in the
+// prompt), "/regex/flags" strings, or objects adding a code, reason and the
+// models the rule applies to
+function compileDenyRule(rule) {
+  const { pattern, code = 'content_rejected', reason, models } = typeof rule === 'string' ? { pattern: rule } : rule;
+  if (!pattern) {
+    throw new Error('Policy deny rules need a pattern');
+  }
+
+  let test;
+  if (/^\/(.+)\/([a-z]*)$/.test(pattern)) {
+    const regex = compilePattern(pattern);
+    test = text => { regex.lastIndex = 0; return regex.test(text); };
+  } else {
+    const keyword = pattern.toLowerCase();
+    test = text => text.toLowerCase().includes(keyword);
+  }
+
+  return {
+    source: pattern,
+    code,
+    reason: reason || 'Request rejected by this node\'s content policy',
+    models,
+    test
+  };
+}
+
+function windowExceeded(entries, limits, promptTokens) {
+  if (limits.requests && entries.length >= limits.requests) return 'requests';
+
+  const tokens = entries.reduce((total, entry) => total + entry.tokens, 0);
+  if (limits.tokens && tokens + promptTokens > limits.tokens) return 'tokens';
+  return null;
+}
+
+function denial(code, rule, reason) {
+  return { code, rule, reason };
+}
+
+module.exports = PolicyEngine;
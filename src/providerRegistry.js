@@ -0,0 +1,86 @@
+// src/providerRegistry.js
+const config = require('./config');
+const {
+  OllamaClient,
+  OpenAICompatibleClient,
+  LMStudioClient,
+  ExoClient,
+  LlamaCppClient,
+  VLLMClient
+} = require('./llmClients');
+const BackendPool = require('./backendPool');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Provider "${provider.name}" is already registered`);
+    }
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  unregister(name) {
+    this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+
+  start() {
+    this.list().forEach(provider => provider.start());
+  }
+
+  stop() {
+    this.list().forEach(provider => provider.stop());
+  }
+
+  // Provider lookup by name, in the shape NetworkClient.llmClients expects
+  clients() {
+    return Object.fromEntries(this.providers);
+  }
+}
+
+// One client per URL; a provider with several URLs becomes a BackendPool
+function pooled(urls, createClient) {
+  const clients = urls.map(createClient);
+  if (clients.length === 1) return clients[0];
+  return new BackendPool(clients, { probeIntervalMs: config.backend_probe_interval_ms });
+}
+
+function createDefaultRegistry() {
+  const registry = new ProviderRegistry()
+    .register(pooled(config.ollama_urls, url => new OllamaClient({ url })))
+    .register(pooled(config.lmstudio_urls, url => new LMStudioClient({ url })))
+    .register(pooled(config.exo_urls, url => new ExoClient({ url })));
+
+  // Only when configured; see config.js
+  if (config.llamacpp_urls.length > 0) {
+    registry.register(pooled(config.llamacpp_urls, url => new LlamaCppClient({ url, apiKey: config.llamacpp_api_key })));
+  }
+  if (config.vllm_urls.length > 0) {
+    registry.register(pooled(config.vllm_urls, url => new VLLMClient({ url, apiKey: config.vllm_api_key })));
+  }
+
+  config.openai_compatible.forEach(({ name, url, apiKey }) => {
+    registry.register(new OpenAICompatibleClient({
+      name,
+      displayName: name,
+      apiBase: url,
+      apiKey,
+      installHints: [`Check that the server at ${url} is running`]
+    }));
+  });
+
+  return registry;
+}
+
+module.exports = { ProviderRegistry, createDefaultRegistry };
@@ -0,0 +1,151 @@
+// src/report.js
+const fs = require('fs');
+const { parseArgs } = require('util');
+const chalk = require('chalk');
+const config = require('./config');
+const { readLedger } = require('./ledger');
+const { printTable } = require('./format');
+
+const GROUPINGS = {
+  day: entry => entry.timestamp.slice(0, 10),
+  model: entry => entry.model,
+  tier: entry => entry.tier || 'unknown'
+};
+
+const COLUMNS = [
+  { key: 'requests', label: 'Requests' },
+  { key: 'failed', label: 'Failed' },
+  { key: 'promptTokens', label: 'Prompt' },
+  { key: 'completionTokens', label: 'Completion' },
+  { key: 'totalTokens', label: 'Tokens' },
+  { key: 'avgLatencyMs', label: 'Avg ms' },
+  { key: 'earned', label: 'MULE' }
+];
+
+// Returns one row per distinct key, sorted by key
+function summarize(entries, by) {
+  const keyOf = GROUPINGS[by];
+  const rows = new Map();
+
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    const row = rows.get(key) || {
+      key, requests: 0, failed: 0, promptTokens: 0, completionTokens: 0,
+      totalTokens: 0, latencyMs: 0, earned: 0
+    };
+
+    row.requests++;
+    if (entry.outcome !== 'success') row.failed++;
+    row.promptTokens += entry.promptTokens || 0;
+    row.completionTokens += entry.completionTokens || 0;
+    row.totalTokens += entry.totalTokens || 0;
+    row.latencyMs += entry.latencyMs || 0;
+    row.earned += entry.earned || 0;
+    rows.set(key, row);
+  }
+
+  return [...rows.values()]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(({ latencyMs, ...row }) => ({
+      ...row,
+      avgLatencyMs: Math.round(latencyMs / row.requests),
+      earned: Math.round(row.earned * 1e6) / 1e6
+    }));
+}
+
+// Only network requests count towards earnings; gateway requests are in the
+// ledger too. Entries written before `source` existed are network requests.
+async function loadEntries(filePath, { since, until } = {}) {
+  const entries = [];
+  for await (const entry of readLedger(filePath)) {
+    if (entry.source && entry.source !== 'network') continue;
+    const day = entry.timestamp.slice(0, 10);
+    if (since && day < since) continue;
+    if (until && day > until) continue;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(groups) {
+  const lines = [['group', 'key', ...COLUMNS.map(column => column.key)].join(',')];
+  for (const [by, rows] of groups) {
+    rows.forEach(row => {
+      lines.push([by, row.key, ...COLUMNS.map(column => row[column.key])].map(csvField).join(','));
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+function printGroup(by, rows) {
+  const header = [by[0].toUpperCase() + by.slice(1), ...COLUMNS.map(column => column.label)];
+  const body = rows.map(row => [
+    row.key,
+    ...COLUMNS.map(column => column.key === 'earned'
+      ? row.earned.toFixed(6)
+      : row[column.key].toLocaleString())
+  ]);
+
+  console.log(chalk.cyan(`\n📒 By ${by}:`));
+  printTable(header, body, { headerColor: chalk.white, rowColor: chalk.gray });
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      by: { type: 'string', multiple: true },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      csv: { type: 'boolean', default: false },
+      output: { type: 'string', short: 'o' },
+      ledger: { type: 'string' }
+    }
+  });
+
+  const groupings = values.by || Object.keys(GROUPINGS);
+  const unknown = groupings.find(by => !GROUPINGS[by]);
+  if (unknown) {
+    throw new Error(`Unknown grouping "${unknown}" - use one of ${Object.keys(GROUPINGS).join(', ')}`);
+  }
+
+  const ledgerPath = values.ledger || config.ledger_path;
+  const entries = await loadEntries(ledgerPath, values);
+  const groups = groupings.map(by => [by, summarize(entries, by)]);
+
+  if (values.csv) {
+    const csv = toCSV(groups);
+    if (values.output) {
+      fs.writeFileSync(values.output, csv);
+      console.log(chalk.green(`✅ Wrote ${entries.length} requests to ${values.output}`));
+    } else {
+      process.stdout.write(csv);
+    }
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow(`\n⚠️  No requests recorded in ${ledgerPath}`));
+    return;
+  }
+
+  groups.forEach(([by, rows]) => printGroup(by, rows));
+
+  const earned = entries.reduce((sum, entry) => sum + (entry.earned || 0), 0);
+  console.log(chalk.cyan('\n📈 Total:'));
+  console.log(chalk.white(`   ${entries.length.toLocaleString()} requests, ${earned.toFixed(6)} MULE earned`));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Report failed:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { summarize, loadEntries, toCSV, main };
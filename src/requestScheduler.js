@@ -0,0 +1,164 @@
+// src/requestScheduler.js
+const EventEmitter = require('events');
+
+class RequestScheduler extends EventEmitter {
+  constructor(limits = {}) {
+    super();
+    this.maxConcurrent = limits.maxConcurrent || 4;
+    this.maxPerModel = limits.maxPerModel || 1;
+    this.maxActiveModels = limits.maxActiveModels || 2;
+    this.maxQueueSize = limits.maxQueueSize ?? 16;
+    this.maxQueueWaitMs = limits.maxQueueWaitMs || 60000;
+
+    this.queue = [];
+    this.inFlight = new Map(); // model name -> number of running requests
+    this.totalInFlight = 0;
+  }
+
+  // Runs task() once a slot for the model is free. Requests wait in a bounded
+  // FIFO queue and are rejected if the queue is full or they wait too long.
+  // Aborting `signal` takes a waiting request out of the queue.
+  schedule(model, task, { signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    // Only start straight away when no older request is waiting for the
+    // slot this one would take; requests held back just by their own
+    // model's limit don't count
+    if (!this._hasWaitingForSharedSlot() && this._canRun(model)) {
+      return this._run(model, task);
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      return Promise.reject(schedulerError('Request queue is full', 'queue_full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { model, task, resolve, reject, enqueuedAt: Date.now() };
+
+      entry.timer = setTimeout(() => {
+        this._removeFromQueue(entry);
+        signal?.removeEventListener('abort', entry.onAbort);
+        reject(schedulerError(
+          `Request waited more than ${Math.round(this.maxQueueWaitMs / 1000)}s in queue`,
+          'queue_timeout'
+        ));
+      }, this.maxQueueWaitMs);
+
+      entry.onAbort = () => {
+        clearTimeout(entry.timer);
+        this._removeFromQueue(entry);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+      entry.signal = signal;
+
+      this.queue.push(entry);
+      this.emit('change', this.getStats());
+    });
+  }
+
+  getStats() {
+    const models = {};
+    for (const [model, count] of this.inFlight) {
+      models[model] = { inFlight: count, queued: 0 };
+    }
+    for (const entry of this.queue) {
+      models[entry.model] = models[entry.model] || { inFlight: 0, queued: 0 };
+      models[entry.model].queued++;
+    }
+
+    return {
+      inFlight: this.totalInFlight,
+      queueDepth: this.queue.length,
+      models
+    };
+  }
+
+  getLimits() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      maxPerModel: this.maxPerModel,
+      maxActiveModels: this.maxActiveModels,
+      maxQueueSize: this.maxQueueSize
+    };
+  }
+
+  _canRun(model) {
+    if (this.totalInFlight >= this.maxConcurrent) return false;
+
+    const running = this.inFlight.get(model) || 0;
+    if (running >= this.maxPerModel) return false;
+
+    // Starting a request for a model that isn't running yet means loading
+    // another model into memory
+    return running > 0 || this.inFlight.size < this.maxActiveModels;
+  }
+
+  // A queued request whose model has room of its own is waiting for a
+  // shared slot: overall concurrency or the number of active models
+  _waitsForSharedSlot(entry) {
+    return (this.inFlight.get(entry.model) || 0) < this.maxPerModel;
+  }
+
+  _hasWaitingForSharedSlot() {
+    return this.queue.some(entry => this._waitsForSharedSlot(entry));
+  }
+
+  async _run(model, task) {
+    this.inFlight.set(model, (this.inFlight.get(model) || 0) + 1);
+    this.totalInFlight++;
+    this.emit('change', this.getStats());
+
+    try {
+      return await task();
+    } finally {
+      const remaining = this.inFlight.get(model) - 1;
+      if (remaining > 0) {
+        this.inFlight.set(model, remaining);
+      } else {
+        this.inFlight.delete(model);
+      }
+      this.totalInFlight--;
+
+      this._dispatch();
+      this.emit('change', this.getStats());
+    }
+  }
+
+  _dispatch() {
+    // Oldest first, but a request for a busy model doesn't block requests
+    // for other models behind it. A request waiting for a shared slot does,
+    // so newer requests for already running models can't starve it.
+    for (let i = 0; i < this.queue.length; i++) {
+      const entry = this.queue[i];
+      if (!this._canRun(entry.model)) {
+        if (this._waitsForSharedSlot(entry)) break;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      i--;
+      clearTimeout(entry.timer);
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      this._run(entry.model, entry.task).then(entry.resolve, entry.reject);
+    }
+  }
+
+  _removeFromQueue(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      this.emit('change', this.getStats());
+    }
+  }
+}
+
+function schedulerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,136 @@
+// src/samplingParams.js
+
+// Every sampling parameter a request may carry, with the range it is
+// validated against. Requests use the OpenAI names; each backend maps them
+// to its own (see the *_PARAMS tables below).
+const PARAMETERS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 0 },
+  max_tokens: { type: 'integer', min: 1 },
+  stop: { type: 'stop' },
+  seed: { type: 'integer' },
+  presence_penalty: { type: 'number', min: -2, max: 2 },
+  frequency_penalty: { type: 'number', min: -2, max: 2 },
+  repeat_penalty: { type: 'number', min: 0 },
+  logit_bias: { type: 'logit_bias' }
+};
+
+// Used when a request leaves them out
+const DEFAULTS = {
+  temperature: 0.7,
+  max_tokens: 4096
+};
+
+// Request name -> backend name for what each API understands
+const OLLAMA_PARAMS = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  top_k: 'top_k',
+  max_tokens: 'num_predict',
+  stop: 'stop',
+  seed: 'seed',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty',
+  repeat_penalty: 'repeat_penalty'
+};
+
+const OPENAI_PARAMS = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  max_tokens: 'max_tokens',
+  stop: 'stop',
+  seed: 'seed',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty',
+  logit_bias: 'logit_bias'
+};
+
+const MAX_STOP_SEQUENCES = 16;
+
+function paramError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_parameter';
+  return error;
+}
+
+function validate(name, value) {
+  const spec = PARAMETERS[name];
+
+  if (spec.type === 'number' || spec.type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw paramError(`${name} must be a number`);
+    }
+    if (spec.type === 'integer' && !Number.isInteger(value)) {
+      throw paramError(`${name} must be an integer`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      throw paramError(`${name} must be at least ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      throw paramError(`${name} must be at most ${spec.max}`);
+    }
+    return value;
+  }
+
+  if (spec.type === 'stop') {
+    const stops = typeof value === 'string' ? [value] : value;
+    if (!Array.isArray(stops) || stops.some(stop => typeof stop !== 'string')) {
+      throw paramError('stop must be a string or an array of strings');
+    }
+    if (stops.length > MAX_STOP_SEQUENCES) {
+      throw paramError(`stop accepts at most ${MAX_STOP_SEQUENCES} sequences`);
+    }
+    return stops;
+  }
+
+  // logit_bias: { "<token id>": -100..100 }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw paramError('logit_bias must be an object of token IDs to biases');
+  }
+  for (const [token, bias] of Object.entries(value)) {
+    if (!/^\d+$/.test(token) || typeof bias !== 'number' || bias < -100 || bias > 100) {
+      throw paramError('logit_bias maps token IDs to numbers between -100 and 100');
+    }
+  }
+  return value;
+}
+
+// Picks the sampling parameters out of a request, validates them and fills
+// in defaults. null counts as not set; 0 is a real value. Throws with code
+// invalid_parameter.
+function normalizeSamplingParams(request = {}) {
+  const params = { ...DEFAULTS };
+  for (const name of Object.keys(PARAMETERS)) {
+    const value = request[name];
+    if (value === undefined || value === null) continue;
+    params[name] = validate(name, value);
+  }
+  return params;
+}
+
+// Renames params for a backend. Returns { mapped, unsupported }, where
+// unsupported lists the request's parameters the backend would ignore.
+function mapSamplingParams(params, mapping) {
+  const mapped = {};
+  const unsupported = [];
+
+  for (const [name, value] of Object.entries(params)) {
+    if (!PARAMETERS[name] || value === undefined) continue;
+    if (mapping[name]) {
+      mapped[mapping[name]] = value;
+    } else {
+      unsupported.push(name);
+    }
+  }
+  return { mapped, unsupported };
+}
+
+module.exports = {
+  PARAMETERS,
+  OLLAMA_PARAMS,
+  OPENAI_PARAMS,
+  normalizeSamplingParams,
+  mapSamplingParams,
+  paramError
+};
@@ -1,7 +1,12 @@
 class ServiceChecker {
-    static async isServiceRunning(url) {
+    static async isServiceRunning(url, options = {}) {
       try {
-        const response = await fetch(url, { method: 'GET' });
+        // An unreachable host can otherwise hang until the OS gives up
+        const response = await fetch(url, {
+          method: 'GET',
+          headers: options.headers,
+          signal: AbortSignal.timeout(options.timeoutMs || 5000)
+        });
         return response.ok;
       } catch {
         return false;
@@ -0,0 +1,39 @@
+// src/sharingPolicy.js
+const { matchesAny } = require('./modelPatterns');
+
+// Decides which detected models get shared without asking. allow and deny are
+// either a list of patterns for every provider or an object keyed by provider
+// name, with "*" applying to all providers:
+//
+//   { "defaultPolicy": "deny",
+//     "allow": { "ollama": ["llama3*", "/^qwen2\\.5/"], "*": ["mistral*"] },
+//     "deny": ["*:70b"] }
+//
+// Deny wins over allow; models matching neither get the default policy.
+class SharingPolicy {
+  constructor({ defaultPolicy = 'allow', allow = [], deny = [] } = {}) {
+    if (!['allow', 'deny'].includes(defaultPolicy)) {
+      throw new Error(`Invalid sharing defaultPolicy "${defaultPolicy}" - expected "allow" or "deny"`);
+    }
+    this.defaultPolicy = defaultPolicy;
+    this.allow = allow;
+    this.deny = deny;
+  }
+
+  patternsFor(rules, provider) {
+    if (Array.isArray(rules)) return rules;
+    return [...(rules[provider] || []), ...(rules['*'] || [])];
+  }
+
+  isShared(model) {
+    if (matchesAny(model.name, this.patternsFor(this.deny, model.type))) return false;
+    if (matchesAny(model.name, this.patternsFor(this.allow, model.type))) return true;
+    return this.defaultPolicy === 'allow';
+  }
+
+  filter(models) {
+    return models.filter(model => this.isShared(model));
+  }
+}
+
+module.exports = SharingPolicy;
@@ -0,0 +1,98 @@
+// src/statusServer.js
+const express = require('express');
+const config = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('status');
+
+// Read-only operator endpoints: Prometheus metrics on /metrics and a JSON
+// snapshot of the node on /status
+class StatusServer {
+  constructor(networkClient) {
+    this.networkClient = networkClient;
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+
+    app.get('/metrics', async (req, res) => {
+      try {
+        const { registry } = this.networkClient.metrics;
+        res.set('Content-Type', registry.contentType);
+        res.end(await registry.metrics());
+      } catch (error) {
+        res.status(500).end(error.message);
+      }
+    });
+
+    app.get('/status', (req, res) => res.json(this.getStatus()));
+
+    app.use((req, res) => {
+      res.status(404).json({ error: `Unknown endpoint ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+
+  getStatus() {
+    const client = this.networkClient;
+    const stats = client.scheduler.getStats();
+
+    return {
+      connection: {
+        state: client.connectionState,
+        connected: client.isConnected,
+        reconnects: client.reconnectCount,
+        lastHeartbeatAgeSeconds: Math.round((Date.now() - client.lastPong) / 1000),
+        outbox: client.outbox.length
+      },
+      availability: client.availability.status,
+      models: client.models.map(model => ({
+        name: model.name,
+        provider: model.type,
+        tier: model.tier,
+        inFlight: stats.models[model.name]?.inFlight || 0,
+        queued: stats.models[model.name]?.queued || 0
+      })),
+      // Per-host health of providers served by more than one host
+      backends: Object.fromEntries(client.providers.list()
+        .filter(provider => provider.status)
+        .map(provider => [provider.name, provider.status()])),
+      scheduler: {
+        inFlight: stats.inFlight,
+        queueDepth: stats.queueDepth,
+        limits: client.scheduler.getLimits()
+      },
+      totals: {
+        requestsHandled: client.totalRequestsHandled,
+        tokensProcessed: client.totalTokensProcessed,
+        estimatedTokensProcessed: client.estimatedTokensProcessed
+      },
+      balance: {
+        mule: client.muleBalance,
+        lastCheck: client.lastBalanceCheck
+      },
+      uptimeSeconds: Math.round((Date.now() - client.startedAt) / 1000)
+    };
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(config.metrics_port, config.metrics_host, () => {
+        log.info(`📈 Metrics and status on http://${config.metrics_host}:${config.metrics_port}/metrics and /status`);
+        resolve();
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+module.exports = StatusServer;
@@ -0,0 +1,43 @@
+// src/streamParser.js
+
+// Backends stream either newline-delimited JSON (Ollama) or OpenAI-style
+// server-sent events (LM Studio, EXO). Both arrive as arbitrary byte chunks,
+// so lines have to be reassembled before they can be parsed.
+async function* readLines(stream) {
+  stream.setEncoding('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+
+  if (buffer.length > 0) {
+    yield buffer;
+  }
+}
+
+async function* readNDJSON(stream) {
+  for await (const line of readLines(stream)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    yield JSON.parse(trimmed);
+  }
+}
+
+async function* readSSE(stream) {
+  for await (const line of readLines(stream)) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) continue;
+
+    const data = trimmed.slice(5).trim();
+    if (data === '[DONE]') return;
+    yield JSON.parse(data);
+  }
+}
+
+module.exports = { readLines, readNDJSON, readSSE };
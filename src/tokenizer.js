@@ -0,0 +1,129 @@
+// src/tokenizer.js
+
+// Local token counting, used only when a backend doesn't report usage itself.
+// Families listed here ship BPE vocabularies derived from (or identical to)
+// these tiktoken encodings, so counts land within a few percent of the real
+// tokenizer. Everything else falls back to the characters/4 rule of thumb.
+const FAMILY_ENCODINGS = [
+  { pattern: /gpt-oss|gpt-4o|o200k/i, encoding: 'o200k_base' },
+  { pattern: /llama-?3|qwen|phi-?4|gpt-4|gpt-3\.5|cl100k/i, encoding: 'cl100k_base' }
+];
+
+// Per-message overhead for the chat template (role markers, separators)
+const TOKENS_PER_MESSAGE = 4;
+// Rough cost of one image: CLIP-based vision models such as llava turn it
+// into 576 patch embeddings
+const TOKENS_PER_IMAGE = 576;
+
+const encoders = {};
+
+function getEncoder(encoding) {
+  if (!encoders[encoding]) {
+    encoders[encoding] = require(`gpt-tokenizer/encoding/${encoding}`);
+  }
+  return encoders[encoding];
+}
+
+function tokenizerFor(model) {
+  const match = FAMILY_ENCODINGS.find(({ pattern }) => pattern.test(model || ''));
+  return match ? match.encoding : 'chars';
+}
+
+function countTextTokens(model, text) {
+  if (!text) return 0;
+
+  const tokenizer = tokenizerFor(model);
+  if (tokenizer === 'chars') {
+    return Math.ceil(text.length / 4);
+  }
+  return getEncoder(tokenizer).encode(text, { disallowedSpecial: new Set() }).length;
+}
+
+function messageText(message) {
+  if (typeof message === 'string') return message;
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part?.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+function countMessageImages(message) {
+  if (!Array.isArray(message.content)) return 0;
+  return message.content.filter(part => part?.type === 'image_url').length;
+}
+
+function countMessageTokens(model, messages) {
+  return messages.reduce(
+    (total, message) => total
+      + TOKENS_PER_MESSAGE
+      + countTextTokens(model, messageText(message))
+      + countMessageImages(message) * TOKENS_PER_IMAGE,
+    0
+  );
+}
+
+// Builds a usage record from whatever the backend reported, counting locally
+// for any side it left out. `accounting` tells the server whether the numbers
+// came from the backend ("measured") or from us ("estimated").
+function resolveUsage(model, messages, completionText, reported) {
+  // Backends send `usage: null` as well as leaving it out
+  reported = reported || {};
+  const promptMeasured = Number.isInteger(reported.prompt_tokens);
+  const completionMeasured = Number.isInteger(reported.completion_tokens);
+
+  const usage = {
+    prompt_tokens: promptMeasured ? reported.prompt_tokens : countMessageTokens(model, messages),
+    completion_tokens: completionMeasured
+      ? reported.completion_tokens
+      : countTextTokens(model, completionText),
+    total_tokens: 0
+  };
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+  if (promptMeasured && completionMeasured) {
+    usage.accounting = 'measured';
+  } else {
+    usage.accounting = 'estimated';
+    usage.tokenizer = tokenizerFor(model);
+  }
+
+  return usage;
+}
+
+function resolveEmbeddingUsage(model, input, reported) {
+  reported = reported || {};
+  if (Number.isInteger(reported.prompt_tokens)) {
+    return {
+      prompt_tokens: reported.prompt_tokens,
+      total_tokens: reported.prompt_tokens,
+      accounting: 'measured'
+    };
+  }
+
+  const inputs = Array.isArray(input) ? input : [input];
+  // Inputs can also be pre-tokenized arrays of token ids
+  const promptTokens = inputs.reduce(
+    (total, item) => total + (typeof item === 'string' ? countTextTokens(model, item) : item.length),
+    0
+  );
+
+  return {
+    prompt_tokens: promptTokens,
+    total_tokens: promptTokens,
+    accounting: 'estimated',
+    tokenizer: tokenizerFor(model)
+  };
+}
+
+module.exports = {
+  countTextTokens,
+  countMessageTokens,
+  messageText,
+  resolveUsage,
+  resolveEmbeddingUsage,
+  tokenizerFor
+};
@@ -0,0 +1,183 @@
+// src/toolCalling.js
+const crypto = require('crypto');
+const { paramError } = require('./samplingParams');
+
+// Function calling (tools, tool_choice) and constrained output
+// (response_format) in their OpenAI form, plus the conversions Ollama needs.
+// OpenAI-compatible backends take the fields as they are.
+
+const TOOL_CHOICES = ['none', 'auto', 'required'];
+const RESPONSE_FORMATS = ['text', 'json_object', 'json_schema'];
+
+function validateTools(tools) {
+  if (!Array.isArray(tools)) {
+    throw paramError('tools must be an array');
+  }
+  tools.forEach((tool, i) => {
+    if (tool?.type !== 'function' || typeof tool.function?.name !== 'string') {
+      throw paramError(`tools[${i}] must be { type: "function", function: { name, parameters } }`);
+    }
+  });
+  return tools;
+}
+
+function validateToolChoice(toolChoice, tools) {
+  if (typeof toolChoice === 'string') {
+    if (!TOOL_CHOICES.includes(toolChoice)) {
+      throw paramError(`tool_choice must be one of ${TOOL_CHOICES.join(', ')} or a function`);
+    }
+    return toolChoice;
+  }
+
+  const name = toolChoice?.function?.name;
+  if (toolChoice?.type !== 'function' || !name) {
+    throw paramError('tool_choice must be { type: "function", function: { name } }');
+  }
+  if (!tools?.some(tool => tool.function.name === name)) {
+    throw paramError(`tool_choice names a function that isn't in tools: ${name}`);
+  }
+  return toolChoice;
+}
+
+function validateResponseFormat(responseFormat) {
+  if (!RESPONSE_FORMATS.includes(responseFormat?.type)) {
+    throw paramError(`response_format.type must be one of ${RESPONSE_FORMATS.join(', ')}`);
+  }
+  if (responseFormat.type === 'json_schema' && typeof responseFormat.json_schema?.schema !== 'object') {
+    throw paramError('response_format.json_schema.schema must be a JSON schema object');
+  }
+  return responseFormat;
+}
+
+// Picks tools, tool_choice and response_format out of a request and
+// validates them. Throws with code invalid_parameter.
+function normalizeToolParams(request = {}) {
+  const params = {};
+  if (request.tools != null) {
+    params.tools = validateTools(request.tools);
+  }
+  if (request.tool_choice != null) {
+    params.tool_choice = validateToolChoice(request.tool_choice, params.tools);
+  }
+  if (request.response_format != null) {
+    params.response_format = validateResponseFormat(request.response_format);
+  }
+  return params;
+}
+
+// The fields to add to an OpenAI-style request body
+function openAIToolFields({ tools, tool_choice, response_format }) {
+  return {
+    ...(tools && { tools }),
+    ...(tool_choice && { tool_choice }),
+    ...(response_format && { response_format })
+  };
+}
+
+// The fields to add to an Ollama /api/chat body. Ollama decides on its own
+// whether to call a tool, so forcing one isn't possible and is reported as
+// unsupported.
+function ollamaToolFields({ tools, tool_choice, response_format }) {
+  const fields = {};
+  const unsupported = [];
+
+  if (tools && tool_choice !== 'none') {
+    fields.tools = tools;
+  }
+  if (tool_choice && !['auto', 'none'].includes(tool_choice)) {
+    unsupported.push('tool_choice');
+  }
+  if (response_format?.type === 'json_object') {
+    fields.format = 'json';
+  } else if (response_format?.type === 'json_schema') {
+    fields.format = response_format.json_schema.schema;
+  }
+
+  return { fields, unsupported };
+}
+
+function parseArguments(value) {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+// Ollama wants tool call arguments as objects and names the tool a result
+// belongs to instead of quoting its call ID
+function toOllamaMessages(messages) {
+  const toolNames = new Map(); // tool_call_id -> function name
+
+  return messages.map(message => {
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+      message.tool_calls.forEach(call => toolNames.set(call.id, call.function?.name));
+      return {
+        ...message,
+        content: message.content || '',
+        tool_calls: message.tool_calls.map(call => ({
+          function: {
+            name: call.function?.name,
+            arguments: parseArguments(call.function?.arguments)
+          }
+        }))
+      };
+    }
+
+    if (message.role === 'tool') {
+      const { tool_call_id: toolCallId, ...rest } = message;
+      const toolName = message.name || toolNames.get(toolCallId);
+      return { ...rest, ...(toolName && { tool_name: toolName }) };
+    }
+
+    return message;
+  });
+}
+
+// Ollama's tool calls in OpenAI shape: every call gets an ID and its
+// arguments as a JSON string. startIndex numbers calls across stream chunks.
+function fromOllamaToolCalls(toolCalls = [], startIndex = 0) {
+  return toolCalls.map((call, i) => ({
+    index: startIndex + i,
+    id: `call_${crypto.randomBytes(12).toString('hex')}`,
+    type: 'function',
+    function: {
+      name: call.function?.name,
+      arguments: JSON.stringify(call.function?.arguments ?? {})
+    }
+  }));
+}
+
+// Folds streamed tool_calls deltas (OpenAI format: the first delta for an
+// index carries id and name, later ones append to arguments) into `calls`
+function mergeToolCallDeltas(calls, deltas) {
+  deltas.forEach(delta => {
+    const index = delta.index ?? calls.length;
+    const call = calls[index] || (calls[index] = {
+      id: delta.id,
+      type: 'function',
+      function: { name: '', arguments: '' }
+    });
+
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.function.name += delta.function.name;
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+  });
+  return calls;
+}
+
+// Strips the stream-only index so final messages match the OpenAI shape
+function finalToolCalls(calls) {
+  return calls.filter(Boolean).map(({ index, ...call }) => call);
+}
+
+module.exports = {
+  normalizeToolParams,
+  openAIToolFields,
+  ollamaToolFields,
+  toOllamaMessages,
+  fromOllamaToolCalls,
+  mergeToolCallDeltas,
+  finalToolCalls
+};